@@ -2,9 +2,80 @@
  * xQubit.AI - Animations and Scroll Effects
  */
 
+// ==========================================
+// Animation Presets
+// ==========================================
+// Starting states for data-animate="<name>". An element waits in its
+// preset's state and transitions to its normal styles once it scrolls into
+// view. Each preset gives the hidden opacity, transform and filter plus the
+// transition duration (ms) and easing; define() adds one at runtime and
+// writes its CSS rules, so a new preset needs no stylesheet edit. The
+// preset's transition only holds while the element is hidden or entering
+// (.animate-entering), so the component's own hover transitions still apply
+// once it has arrived.
+const AnimationPresets = {
+    presets: {},
+    sheet: null,
+
+    define(name, preset) {
+        this.presets[name] = preset;
+
+        if (!this.sheet) {
+            this.sheet = document.createElement('style');
+            document.head.appendChild(this.sheet);
+        }
+        this.sheet.textContent += this.css(name, preset);
+    },
+
+    duration(name) {
+        const preset = this.presets[name];
+        return (preset && preset.duration) || 600;
+    },
+
+    // With data-animate-stagger the preset applies to the element's children
+    css(name, preset) {
+        const self = `[data-animate="${name}"]:not([data-animate-stagger])`;
+        const children = `[data-animate="${name}"][data-animate-stagger] > *`;
+        const timing = `${this.duration(name)}ms ${preset.easing || 'ease'}`;
+
+        return `
+            ${self}:not(.animate-in), ${children}:not(.animate-in),
+            ${self}.animate-entering, ${children}.animate-entering {
+                transition: opacity ${timing}, transform ${timing}, filter ${timing};
+            }
+
+            ${self}:not(.animate-in), ${children}:not(.animate-in) {
+                opacity: ${preset.opacity !== undefined ? preset.opacity : 0};
+                transform: ${preset.transform || 'none'};
+                filter: ${preset.filter || 'none'};
+            }
+        `;
+    }
+};
+
+AnimationPresets.define('fade', { duration: 600 });
+AnimationPresets.define('fade-up', { transform: 'translateY(40px)', duration: 800 });
+AnimationPresets.define('fade-down', { transform: 'translateY(-40px)', duration: 800 });
+AnimationPresets.define('scale', { transform: 'scale(0.9)', duration: 600 });
+AnimationPresets.define('card', { transform: 'translateY(30px) scale(0.95)', duration: 600 });
+AnimationPresets.define('slide-left', { transform: 'translateX(60px)', duration: 700 });
+AnimationPresets.define('slide-right', { transform: 'translateX(-60px)', duration: 700 });
+AnimationPresets.define('blur-in', { filter: 'blur(12px)', transform: 'scale(1.04)', duration: 900 });
+
 // ==========================================
 // Intersection Observer for Scroll Animations
 // ==========================================
+// Everything is read from the markup:
+//   data-animate="fade-up"      preset name (see AnimationPresets)
+//   data-animate-delay="200"    wait this many ms before starting
+//   data-animate-stagger="100"  animate the children in turn, this many ms
+//                               apart (100 if left empty)
+//   data-animate-once           stay visible after the first time; without
+//                               it the animation replays whenever the
+//                               element comes back into view
+// Elements added to the page later are picked up by a MutationObserver.
+// With reduced motion, delays and staggers drop to zero and the CSS in
+// styles.css settles the transitions instantly.
 class ScrollAnimations {
     constructor() {
         this.observerOptions = {
@@ -12,45 +83,115 @@ class ScrollAnimations {
             rootMargin: '0px',
             threshold: 0.1
         };
+        this.observed = new Set();
+        this.entering = new Map();
 
         this.init();
     }
 
     init() {
         this.setupObserver();
-        this.observeElements();
+        this.observeElements(document.body);
+        this.watchMutations();
     }
 
     setupObserver() {
         this.observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
-                    entry.target.classList.add('animate-in');
-
-                    // Stagger children animations
-                    const children = entry.target.querySelectorAll('.stagger-child');
-                    children.forEach((child, index) => {
-                        child.style.transitionDelay = `${index * 100}ms`;
-                        child.classList.add('animate-in');
-                    });
+                    this.play(entry.target);
+                } else if (!entry.target.hasAttribute('data-animate-once')) {
+                    this.reset(entry.target);
                 }
             });
         }, this.observerOptions);
     }
 
-    observeElements() {
-        // Observe sections
-        const sections = document.querySelectorAll('.features, .technology, .agents, .about, .cta');
-        sections.forEach(section => {
-            section.classList.add('animate-section');
-            this.observer.observe(section);
+    // Observe `root` and every [data-animate] element inside it
+    observeElements(root) {
+        const elements = [...root.querySelectorAll('[data-animate]')];
+        if (root.matches('[data-animate]')) elements.unshift(root);
+
+        elements.forEach(element => {
+            if (this.observed.has(element)) return;
+            this.observed.add(element);
+
+            const name = element.getAttribute('data-animate');
+            if (!AnimationPresets.presets[name]) debugLog.warn('animations', `Unknown data-animate preset "${name}"`, element);
+            this.observer.observe(element);
         });
+    }
 
-        // Observe cards
-        const cards = document.querySelectorAll('.feature-card, .agent-card, .tech-item, .metric');
-        cards.forEach(card => {
-            card.classList.add('animate-card');
-            this.observer.observe(card);
+    unobserveElements(root) {
+        this.observed.forEach(element => {
+            if (element === root || root.contains(element)) {
+                this.observed.delete(element);
+                this.observer.unobserve(element);
+            }
+        });
+    }
+
+    watchMutations() {
+        this.mutations = new MutationObserver((records) => {
+            records.forEach(record => {
+                record.removedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) this.unobserveElements(node);
+                });
+                record.addedNodes.forEach(node => {
+                    if (node.nodeType === Node.ELEMENT_NODE) this.observeElements(node);
+                });
+                if (record.type === 'attributes') this.observeElements(record.target);
+            });
+        });
+
+        this.mutations.observe(document.body, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['data-animate']
+        });
+    }
+
+    // The element itself, or its children when it staggers them
+    targets(element) {
+        return element.hasAttribute('data-animate-stagger') ? [...element.children] : [element];
+    }
+
+    play(element) {
+        if (element.classList.contains('animate-in')) return;
+
+        const reduced = motionPreference.isReduced();
+        const delay = reduced ? 0 : parseFloat(element.getAttribute('data-animate-delay')) || 0;
+        const stagger = reduced ? 0 : parseFloat(element.getAttribute('data-animate-stagger')) || 100;
+        const duration = reduced ? 0 : AnimationPresets.duration(element.getAttribute('data-animate'));
+
+        element.classList.add('animate-in');
+        this.targets(element).forEach((target, index) => {
+            const wait = delay + (target === element ? 0 : index * stagger);
+            if (wait > 0) target.style.transitionDelay = `${wait}ms`;
+            target.classList.add('animate-entering', 'animate-in');
+
+            // Only the entrance uses the preset's timing and delay; after it,
+            // hover transitions are the component's own again
+            clearTimeout(this.entering.get(target));
+            this.entering.set(target, setTimeout(() => this.settle(target), wait + duration));
+        });
+    }
+
+    settle(target) {
+        clearTimeout(this.entering.get(target));
+        this.entering.delete(target);
+        target.style.transitionDelay = '';
+        target.classList.remove('animate-entering');
+    }
+
+    reset(element) {
+        if (!element.classList.contains('animate-in')) return;
+
+        element.classList.remove('animate-in');
+        this.targets(element).forEach(target => {
+            this.settle(target);
+            target.classList.remove('animate-in');
         });
     }
 }
@@ -58,50 +199,191 @@ class ScrollAnimations {
 // ==========================================
 // Counter Animation
 // ==========================================
+// data-count holds the final value as it should read, e.g. "1000", "99.9%",
+// "10B+" or "$1.5M": the number counts up and the text around it (compact
+// units, prefixes, suffixes) stays put. Decimals follow the value as
+// written and digits are grouped for the page language via
+// Intl.NumberFormat. Optional attributes:
+//   data-count-duration  ms, default 2000
+//   data-count-easing    a CounterEasings name, default easeOutQuart
+//   data-count-locale    overrides <html lang>
+//   data-count-stat      dotted key into the JSON file named by the
+//                        nearest data-stats ancestor, e.g. "hero.qubits"
+// Counters wait at zero for their count; with reduced motion, and when the
+// page is printed, they show the final value instead. Stats replace the
+// markup values when they load (a failed load keeps them); a counter that
+// has already run counts on from what it shows to the new value.
+const CounterEasings = {
+    linear: t => t,
+    easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+    easeOutQuart: t => 1 - Math.pow(1 - t, 4),
+    easeOutExpo: t => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+    easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
 class CounterAnimation {
     constructor() {
-        this.counters = document.querySelectorAll('.stat-number');
-        this.animated = new Set();
+        this.counters = new Map();
         this.init();
     }
 
     init() {
         const observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
-                if (entry.isIntersecting && !this.animated.has(entry.target)) {
-                    this.animated.add(entry.target);
-                    this.animateCounter(entry.target);
+                const counter = this.counters.get(entry.target);
+                if (entry.isIntersecting && !counter.shown) {
+                    counter.shown = true;
+                    observer.unobserve(entry.target);
+                    this.animateCounter(counter, counter.value);
                 }
             });
         }, { threshold: 0.5 });
 
-        this.counters.forEach(counter => observer.observe(counter));
+        document.querySelectorAll('[data-count]').forEach(element => {
+            const counter = this.parse(element, element.getAttribute('data-count'));
+            if (!counter) return;
+
+            this.counters.set(element, counter);
+            this.render(counter, motionPreference.isReduced() ? counter.target : 0);
+            observer.observe(element);
+        });
+
+        motionPreference.subscribe((reduced) => {
+            if (reduced) this.finish();
+        });
+        window.addEventListener('beforeprint', () => this.finish());
+
+        this.loadStats();
+    }
+
+    // Jump every counter to its final value
+    finish() {
+        this.counters.forEach(counter => {
+            cancelAnimationFrame(counter.frameId);
+            counter.frameId = null;
+            this.render(counter, counter.target);
+        });
+    }
+
+    // Split a display value into the number and the text around it
+    parse(element, value) {
+        const match = String(value).trim().match(/^(.*?)(-?\d[\d,]*(?:\.\d+)?)(.*)$/);
+        if (!match) {
+            debugLog.warn('animations', `data-count has no number: ${value}`, element);
+            return null;
+        }
+
+        const digits = match[2].replace(/,/g, '');
+        const decimals = digits.includes('.') ? digits.split('.')[1].length : 0;
+        const locale = element.getAttribute('data-count-locale') || document.documentElement.lang || undefined;
+        const easing = element.getAttribute('data-count-easing');
+
+        if (easing && !CounterEasings[easing]) {
+            debugLog.warn('animations', `Unknown counter easing "${easing}"`, element);
+        }
+
+        // A malformed language tag throws; leave that one counter as written
+        let format;
+        try {
+            format = new Intl.NumberFormat(locale, {
+                minimumFractionDigits: decimals,
+                maximumFractionDigits: decimals
+            });
+        } catch (error) {
+            debugLog.warn('animations', `Invalid counter locale "${locale}"`, element);
+            return null;
+        }
+
+        return {
+            element: element,
+            prefix: match[1],
+            suffix: match[3],
+            target: parseFloat(digits),
+            value: 0,
+            shown: false,
+            frameId: null,
+            duration: parseFloat(element.getAttribute('data-count-duration')) || 2000,
+            easing: CounterEasings[easing] || CounterEasings.easeOutQuart,
+            format: format
+        };
     }
 
-    animateCounter(element) {
-        const target = parseFloat(element.getAttribute('data-count'));
-        const duration = 2000;
+    render(counter, value) {
+        counter.value = value;
+        counter.element.textContent = `${counter.prefix}${counter.format.format(value)}${counter.suffix}`;
+    }
+
+    animateCounter(counter, from) {
+        cancelAnimationFrame(counter.frameId);
+
+        // Reduced motion: show the final value straight away
+        if (motionPreference.isReduced()) {
+            this.render(counter, counter.target);
+            return;
+        }
+
+        this.render(counter, from);
         const startTime = performance.now();
-        const isDecimal = target % 1 !== 0;
 
         const updateCounter = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / duration, 1);
+            const progress = Math.min((currentTime - startTime) / counter.duration, 1);
+            this.render(counter, from + (counter.target - from) * counter.easing(progress));
 
-            // Easing function
-            const easeOutQuart = 1 - Math.pow(1 - progress, 4);
-            const current = target * easeOutQuart;
+            counter.frameId = progress < 1 ? requestAnimationFrame(updateCounter) : null;
+        };
 
-            element.textContent = isDecimal ? current.toFixed(1) : Math.floor(current);
+        counter.frameId = requestAnimationFrame(updateCounter);
+    }
 
-            if (progress < 1) {
-                requestAnimationFrame(updateCounter);
-            } else {
-                element.textContent = isDecimal ? target.toFixed(1) : target;
-            }
-        };
+    // One request per stats file, shared by every counter that points at it
+    loadStats() {
+        const files = new Map();
+
+        this.counters.forEach(counter => {
+            const key = counter.element.getAttribute('data-count-stat');
+            const holder = key && counter.element.closest('[data-stats]');
+            if (!holder) return;
+
+            const url = holder.getAttribute('data-stats');
+            if (!files.has(url)) files.set(url, []);
+            files.get(url).push({ counter: counter, key: key });
+        });
 
-        requestAnimationFrame(updateCounter);
+        files.forEach((counters, url) => {
+            fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(stats => {
+                    counters.forEach(({ counter, key }) => {
+                        const value = key.split('.').reduce((node, part) => (node == null ? node : node[part]), stats);
+                        if (value != null) this.update(counter, value);
+                    });
+                })
+                .catch(() => {
+                    // Optional: the values in the markup stay
+                });
+        });
+    }
+
+    update(counter, value) {
+        const next = this.parse(counter.element, value);
+        if (!next) return;
+
+        const from = counter.value;
+        Object.assign(counter, {
+            prefix: next.prefix,
+            suffix: next.suffix,
+            target: next.target,
+            format: next.format
+        });
+
+        if (counter.shown) {
+            this.animateCounter(counter, from);
+        } else {
+            this.render(counter, motionPreference.isReduced() ? counter.target : from);
+        }
     }
 }
 
@@ -122,6 +404,8 @@ class MagneticButtons {
     }
 
     handleMouseMove(e, button) {
+        if (motionPreference.isReduced()) return;
+
         const rect = button.getBoundingClientRect();
         const x = e.clientX - rect.left - rect.width / 2;
         const y = e.clientY - rect.top - rect.height / 2;
@@ -135,25 +419,248 @@ class MagneticButtons {
 }
 
 // ==========================================
-// Parallax Effect
+// Scroll Timelines
 // ==========================================
-class ParallaxEffect {
+// Elements declare keyframes against their progress through the viewport:
+// 0 as the top edge enters at the bottom of the screen, 1 as the bottom
+// edge leaves at the top.
+//   data-scroll='{"0.5": {"translateY": "0%"}, "1": {"translateY": "30%"}}'
+//   data-scroll-source="#hero"   follow another element's progress instead
+// Properties are translateX, translateY, scale, rotate, opacity and CSS
+// custom properties (--name). Values are numbers, optionally with a unit
+// (translations default to px and rotate to deg), and the first and last
+// keyframes hold before and after their offsets.
+//
+// Where the browser supports scroll-driven animations each element gets a
+// native animation on a ViewTimeline and no script runs on scroll; custom
+// properties are registered so they interpolate there too. Elsewhere one
+// requestAnimationFrame pass per frame reads every layout first, then
+// writes every style. With reduced motion the transform keyframes are
+// dropped, while opacity and custom properties still follow the scroll.
+const ScrollTransforms = ['translateX', 'translateY', 'scale', 'rotate'];
+const ScrollDefaultUnits = { translateX: 'px', translateY: 'px', rotate: 'deg' };
+
+class ScrollTimelines {
     constructor() {
-        this.elements = document.querySelectorAll('[data-parallax]');
+        this.entries = [];
+        this.native = typeof ViewTimeline !== 'undefined';
+        this.frameId = null;
+        this.measured = false;
         this.init();
     }
 
     init() {
-        window.addEventListener('scroll', () => this.handleScroll());
+        document.querySelectorAll('[data-scroll]').forEach(element => {
+            let keyframes;
+            try {
+                keyframes = JSON.parse(element.getAttribute('data-scroll'));
+            } catch (error) {
+                debugLog.warn('animations', `Invalid data-scroll JSON (${error.message})`, element);
+                return;
+            }
+
+            const selector = element.getAttribute('data-scroll-source');
+            this.add(element, keyframes, selector ? document.querySelector(selector) : null);
+        });
+
+        if (!this.native) {
+            const remeasure = () => {
+                this.measured = false;
+                this.schedule();
+            };
+            window.addEventListener('scroll', () => this.schedule(), { passive: true });
+            window.addEventListener('resize', remeasure);
+            new ResizeObserver(remeasure).observe(document.body);
+        }
+
+        motionPreference.subscribe(() => this.entries.forEach(entry => this.start(entry)));
+    }
+
+    add(element, keyframes, source) {
+        const entry = {
+            element: element,
+            source: source || element,
+            frames: this.normalize(keyframes),
+            animation: null
+        };
+        this.entries.push(entry);
+        this.start(entry);
+        return entry;
+    }
+
+    // (Re)start an entry for the current motion preference
+    start(entry) {
+        this.clear(entry);
+
+        const frames = this.activeFrames(entry);
+        if (!frames.length) return;
+
+        if (this.native) {
+            this.registerProperties(frames);
+            entry.animation = entry.element.animate(
+                frames.map(frame => ({ offset: frame.offset, ...this.toStyle(frame.values) })),
+                { timeline: new ViewTimeline({ subject: entry.source }), fill: 'both' }
+            );
+        } else {
+            this.measured = false;
+            this.schedule();
+        }
+    }
+
+    clear(entry) {
+        if (entry.animation) {
+            entry.animation.cancel();
+            entry.animation = null;
+        }
+
+        const names = entry.frames.length ? Object.keys(entry.frames[0].values) : [];
+        names.forEach(name => {
+            entry.element.style.removeProperty(ScrollTransforms.includes(name) ? 'transform' : name);
+        });
+    }
+
+    activeFrames(entry) {
+        if (!motionPreference.isReduced()) return entry.frames;
+
+        const frames = entry.frames.map(frame => {
+            const values = {};
+            Object.entries(frame.values).forEach(([name, value]) => {
+                if (!ScrollTransforms.includes(name)) values[name] = value;
+            });
+            return { offset: frame.offset, values: values };
+        });
+        return frames.length && Object.keys(frames[0].values).length ? frames : [];
+    }
+
+    // Sorted keyframes from 0 to 1, each carrying every property
+    normalize(keyframes) {
+        const frames = Object.entries(keyframes || {})
+            .map(([offset, values]) => ({ offset: parseFloat(offset), values: this.parseValues(values) }))
+            .filter(frame => frame.offset >= 0 && frame.offset <= 1)
+            .sort((a, b) => a.offset - b.offset);
+        if (!frames.length) return [];
+
+        const names = new Set(frames.flatMap(frame => Object.keys(frame.values)));
+        names.forEach(name => {
+            let held = frames.find(frame => frame.values[name]).values[name];
+            frames.forEach(frame => {
+                if (frame.values[name]) {
+                    held = frame.values[name];
+                } else {
+                    frame.values[name] = held;
+                }
+            });
+        });
+
+        if (frames[0].offset > 0) {
+            frames.unshift({ offset: 0, values: frames[0].values });
+        }
+        if (frames[frames.length - 1].offset < 1) {
+            frames.push({ offset: 1, values: frames[frames.length - 1].values });
+        }
+        return frames;
+    }
+
+    parseValues(values) {
+        const parsed = {};
+
+        Object.entries(values || {}).forEach(([name, value]) => {
+            const known = ScrollTransforms.includes(name) || name === 'opacity' || name.startsWith('--');
+            const match = String(value).trim().match(/^(-?\d*\.?\d+)([a-z%]*)$/i);
+            if (!known || !match) {
+                debugLog.warn('animations', `Ignoring scroll keyframe ${name}: ${value}`);
+                return;
+            }
+            parsed[name] = { number: parseFloat(match[1]), unit: match[2] || ScrollDefaultUnits[name] || '' };
+        });
+
+        return parsed;
+    }
+
+    // Custom properties only interpolate once they have a type
+    registerProperties(frames) {
+        if (!window.CSS || !CSS.registerProperty) return;
+
+        Object.entries(frames[0].values).forEach(([name, value]) => {
+            if (!name.startsWith('--')) return;
+            try {
+                CSS.registerProperty({
+                    name: name,
+                    syntax: value.unit ? '<length-percentage>' : '<number>',
+                    inherits: true,
+                    initialValue: `${value.number}${value.unit}`
+                });
+            } catch (error) {
+                // Already registered (or the unit isn't a length); it still animates, maybe in steps
+            }
+        });
+    }
+
+    toStyle(values) {
+        const style = {};
+        const transform = ScrollTransforms
+            .filter(name => values[name])
+            .map(name => `${name}(${values[name].number}${values[name].unit})`)
+            .join(' ');
+
+        if (transform) style.transform = transform;
+        Object.entries(values).forEach(([name, value]) => {
+            if (!ScrollTransforms.includes(name)) style[name] = `${value.number}${value.unit}`;
+        });
+        return style;
+    }
+
+    sample(frames, progress) {
+        const p = Math.min(Math.max(progress, 0), 1);
+        let i = 0;
+        while (i < frames.length - 2 && frames[i + 1].offset < p) i++;
+
+        const from = frames[i];
+        const to = frames[i + 1] || from;
+        const span = to.offset - from.offset;
+        const t = span > 0 ? Math.min(Math.max((p - from.offset) / span, 0), 1) : 1;
+        const values = {};
+
+        Object.entries(from.values).forEach(([name, value]) => {
+            values[name] = { number: value.number + (to.values[name].number - value.number) * t, unit: value.unit };
+        });
+        return values;
+    }
+
+    // Script fallback: one update per frame however many scroll events arrive
+    schedule() {
+        if (this.frameId === null) {
+            this.frameId = requestAnimationFrame(() => this.update());
+        }
     }
 
-    handleScroll() {
+    update() {
+        this.frameId = null;
+
+        // Reads: layout positions (only after a resize) and the scroll offset.
+        // offsetTop ignores transforms, so an element can follow its own progress.
+        if (!this.measured) {
+            this.entries.forEach(entry => {
+                let top = 0;
+                for (let node = entry.source; node; node = node.offsetParent) {
+                    top += node.offsetTop;
+                }
+                entry.top = top;
+                entry.height = entry.source.offsetHeight;
+            });
+            this.measured = true;
+        }
         const scrollY = window.scrollY;
+        const viewport = window.innerHeight;
 
-        this.elements.forEach(element => {
-            const speed = parseFloat(element.getAttribute('data-parallax')) || 0.5;
-            const offset = scrollY * speed;
-            element.style.transform = `translateY(${offset}px)`;
+        // Writes
+        this.entries.forEach(entry => {
+            const frames = this.activeFrames(entry);
+            if (!frames.length) return;
+
+            const progress = (scrollY + viewport - entry.top) / (viewport + entry.height);
+            const style = this.toStyle(this.sample(frames, progress));
+            Object.entries(style).forEach(([name, value]) => entry.element.style.setProperty(name, value));
         });
     }
 }
@@ -167,7 +674,7 @@ class CursorTrail {
         this.trailLength = 10;
         this.mouseX = 0;
         this.mouseY = 0;
-        this.enabled = window.innerWidth > 1024; // Only on desktop
+        this.enabled = window.innerWidth > 1024 && !motionPreference.isReduced(); // Only on desktop
 
         if (this.enabled) {
             this.init();
@@ -225,46 +732,505 @@ class CursorTrail {
     }
 }
 
+// ==========================================
+// Text Splitter
+// ==========================================
+// Wraps an element's words, characters or rendered lines in spans for
+// animation without flattening it: text nodes are split where they are, so
+// nested elements (gradient spans, links) stay in the page along with their
+// listeners. Every word and character is aria-hidden, and each split text
+// node leaves a visually hidden copy of itself (.sr-only) in its place, so
+// assistive tech reads the text once, in order, including inside links.
+// Fragments get a split-word / split-char / split-line class and an --index
+// custom property. Line mode groups the words by where they render and regroups
+// when the element's width changes, firing a textsplit event on it.
+// revert() puts the original text nodes back.
+const SplitSkip = 'script, style, svg, br, .sr-only';
+
+class TextSplitter {
+    constructor(element, options = {}) {
+        this.element = element;
+        this.type = ['chars', 'words', 'lines'].includes(options.type) ? options.type : 'chars';
+        // Each split text node with the nodes that replaced it
+        this.original = null;
+        this.words = [];
+        this.chars = [];
+        this.lines = [];
+        this.resizeObserver = null;
+        this.split();
+    }
+
+    split() {
+        this.original = [];
+        this.words = [];
+        this.chars = [];
+        this.splitNode(this.element);
+
+        if (this.type === 'lines') {
+            this.groupLines();
+            this.watchWidth();
+        }
+    }
+
+    splitNode(node) {
+        Array.from(node.childNodes).forEach(child => {
+            if (child.nodeType === Node.TEXT_NODE) {
+                if (!child.textContent.trim()) return;
+
+                const copy = document.createElement('span');
+                copy.className = 'sr-only';
+                copy.textContent = child.textContent;
+
+                const fragment = this.splitText(child.textContent);
+                fragment.prepend(copy);
+                this.original.push({ text: child, parts: Array.from(fragment.childNodes) });
+                child.replaceWith(fragment);
+            } else if (child.nodeType === Node.ELEMENT_NODE && !child.matches(SplitSkip)) {
+                this.splitNode(child);
+            }
+        });
+    }
+
+    // Whitespace stays as plain text so the line breaks where it used to.
+    // Characters sit inside their word so a word never breaks mid-way.
+    splitText(text) {
+        const fragment = document.createDocumentFragment();
+
+        text.split(/(\s+)/).forEach(token => {
+            if (!token) return;
+            if (/^\s+$/.test(token)) {
+                fragment.appendChild(document.createTextNode(token));
+                return;
+            }
+
+            const word = this.fragment('split-word', this.words);
+            if (this.type === 'chars') {
+                this.graphemes(token).forEach(char => {
+                    const span = this.fragment('split-char', this.chars);
+                    span.textContent = char;
+                    word.appendChild(span);
+                });
+            } else {
+                word.textContent = token;
+            }
+            fragment.appendChild(word);
+        });
+
+        return fragment;
+    }
+
+    fragment(className, list) {
+        const span = document.createElement('span');
+        span.className = className;
+        span.setAttribute('aria-hidden', 'true');
+        span.style.setProperty('--index', list.length);
+        list.push(span);
+        return span;
+    }
+
+    // Keeps emoji and combining marks in one piece where the browser can tell
+    graphemes(text) {
+        if (typeof Intl.Segmenter === 'undefined') return Array.from(text);
+        return Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), part => part.segment);
+    }
+
+    // A line can cross a nested element, so each run of same-line words
+    // under one parent gets its own span; they share the line's --index.
+    groupLines() {
+        this.lines = [];
+
+        const tops = this.words.map(word => word.offsetTop);
+        const lineOf = [];
+        let line = -1;
+        let lastTop = null;
+        this.words.forEach((word, i) => {
+            if (lastTop === null || Math.abs(tops[i] - lastTop) > 1) {
+                line++;
+                lastTop = tops[i];
+            }
+            lineOf.push(line);
+        });
+
+        let run = null;
+        this.words.forEach((word, i) => {
+            const continues = run &&
+                run.index === lineOf[i] &&
+                run.span.parentNode === word.parentNode &&
+                this.onlyWhitespaceBetween(run.span, word);
+
+            if (continues) {
+                while (run.span.nextSibling !== word) run.span.appendChild(run.span.nextSibling);
+                run.span.appendChild(word);
+                return;
+            }
+
+            // Not aria-hidden: a line can hold the .sr-only copies
+            const span = document.createElement('span');
+            span.className = 'split-line';
+            span.style.setProperty('--index', lineOf[i]);
+            word.replaceWith(span);
+            span.appendChild(word);
+            this.lines.push(span);
+            run = { span: span, index: lineOf[i] };
+        });
+    }
+
+    onlyWhitespaceBetween(from, to) {
+        for (let node = from.nextSibling; node && node !== to; node = node.nextSibling) {
+            if (node.nodeType !== Node.TEXT_NODE || node.textContent.trim()) return false;
+        }
+        return true;
+    }
+
+    // Only a width change can move line breaks; regroup once per frame at most
+    watchWidth() {
+        if (this.resizeObserver) return;
+
+        let width = this.element.offsetWidth;
+        let frameId = null;
+        this.resizeObserver = new ResizeObserver(() => {
+            if (this.element.offsetWidth === width || frameId !== null) return;
+            frameId = requestAnimationFrame(() => {
+                frameId = null;
+                width = this.element.offsetWidth;
+                this.unwrapLines();
+                this.groupLines();
+                this.element.dispatchEvent(new CustomEvent('textsplit', { detail: this }));
+            });
+        });
+        this.resizeObserver.observe(this.element);
+    }
+
+    unwrapLines() {
+        this.lines.forEach(line => line.replaceWith(...line.childNodes));
+        this.lines = [];
+    }
+
+    revert() {
+        if (!this.original) return;
+
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+            this.resizeObserver = null;
+        }
+
+        this.unwrapLines();
+        this.original.forEach(({ text, parts }) => {
+            parts[0].before(text);
+            parts.forEach(part => part.remove());
+        });
+
+        this.original = null;
+        this.words = [];
+        this.chars = [];
+    }
+}
+
 // ==========================================
 // Text Reveal Animation
 // ==========================================
+// .reveal-text fades its text in piece by piece; data-reveal picks chars
+// (default), words or lines. Turning on reduced motion restores the
+// original text, and turning it off again splits and reveals it anew.
+const RevealStagger = { chars: 30, words: 80, lines: 150 };
+
 class TextReveal {
     constructor() {
         this.elements = document.querySelectorAll('.reveal-text');
+        this.splitters = [];
         this.init();
     }
 
     init() {
+        // Reduced motion: leave the text whole and fully visible
+        if (!motionPreference.isReduced()) this.split();
+
+        motionPreference.subscribe((reduced) => {
+            if (reduced) {
+                this.revert();
+            } else {
+                this.split();
+            }
+        });
+    }
+
+    split() {
         this.elements.forEach(element => {
-            const text = element.textContent;
-            element.innerHTML = '';
-
-            text.split('').forEach((char, index) => {
-                const span = document.createElement('span');
-                span.textContent = char === ' ' ? '\u00A0' : char;
-                span.style.animationDelay = `${index * 30}ms`;
-                span.className = 'reveal-char';
-                element.appendChild(span);
-            });
+            const splitter = new TextSplitter(element, { type: element.getAttribute('data-reveal') || 'chars' });
+            this.reveal(splitter);
+            this.splitters.push(splitter);
+        });
+    }
+
+    revert() {
+        this.splitters.forEach(splitter => splitter.revert());
+        this.splitters = [];
+    }
+
+    // Lines regrouped after a resize come back without the class, so a
+    // resize shows the text rather than replaying the reveal
+    reveal(splitter) {
+        splitter[splitter.type].forEach(piece => {
+            piece.classList.add('reveal-fragment');
+            piece.style.animationDelay = `calc(var(--index) * ${RevealStagger[splitter.type]}ms)`;
         });
     }
 }
 
 // ==========================================
-// Glitch Text Effect
+// Glitch Text Effects
 // ==========================================
+// .glitch-text gets its text copied to data-text, which the CSS
+// pseudo-elements jitter on hover. GlitchEffect is also the base for the
+// scripted effects below, which run while their element is on screen: a
+// subclass passes its selector, returns a state object from setup() (null
+// leaves the element alone, as the hover glitch does) and gets enter() /
+// leave() as the element crosses the viewport. Reduced motion stops
+// everything and restore() shows each element's plain final text;
+// destroy() does the same for good.
+const DecodeGlyphs = '01ψφΦ⟨⟩|+-=<>/\\#*%&ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
 class GlitchEffect {
-    constructor() {
-        this.elements = document.querySelectorAll('.glitch-text');
+    constructor(selector = '.glitch-text') {
+        this.elements = document.querySelectorAll(selector);
+        this.states = new Map();
+        this.observer = null;
+        this.unsubscribe = null;
         this.init();
     }
 
     init() {
+        this.observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                const state = this.states.get(entry.target);
+                if (entry.isIntersecting) {
+                    this.enter(state);
+                } else {
+                    this.leave(state);
+                }
+            });
+        }, { threshold: 0.5 });
+
         this.elements.forEach(element => {
-            const text = element.textContent;
-            element.setAttribute('data-text', text);
+            const state = this.setup(element);
+            if (state) this.states.set(element, state);
+        });
+
+        if (!motionPreference.isReduced()) this.observe();
+        this.unsubscribe = motionPreference.subscribe((reduced) => {
+            if (reduced) {
+                this.settle();
+            } else {
+                this.observe();
+            }
+        });
+    }
+
+    observe() {
+        this.states.forEach((state, element) => {
+            if (!state.done) this.observer.observe(element);
+        });
+    }
+
+    settle() {
+        this.observer.disconnect();
+        this.states.forEach(state => {
+            this.stop(state);
+            this.restore(state);
+        });
+    }
+
+    destroy() {
+        this.settle();
+        this.unsubscribe();
+        this.states.clear();
+    }
+
+    // Calls step(time) every frame until it returns false
+    run(state, step) {
+        this.stop(state);
+
+        const frame = (time) => {
+            state.frameId = step(time) === false ? null : requestAnimationFrame(frame);
+        };
+        state.frameId = requestAnimationFrame(frame);
+    }
+
+    stop(state) {
+        cancelAnimationFrame(state.frameId);
+        state.frameId = null;
+    }
+
+    randomGlyph(charset) {
+        const glyphs = Array.from(charset);
+        return glyphs[Math.floor(Math.random() * glyphs.length)];
+    }
+
+    setup(element) {
+        element.setAttribute('data-text', element.textContent);
+        return null;
+    }
+
+    enter() {}
+
+    leave() {}
+
+    restore() {}
+}
+
+// Decode: the first time the element comes into view every character
+// scrambles through random glyphs, then they lock in roughly left to right.
+// Characters are split with TextSplitter, so nested markup survives,
+// screen readers get its hidden copy of the real text rather than the
+// glyphs, and the original DOM comes back once the text has resolved.
+//   data-decode                 charset to draw from (empty: DecodeGlyphs)
+//   data-decode-duration        ms until the last character resolves, default 1200
+class DecodeText extends GlitchEffect {
+    constructor() {
+        super('[data-decode]');
+    }
+
+    setup(element) {
+        return {
+            element: element,
+            charset: element.getAttribute('data-decode') || DecodeGlyphs,
+            duration: parseFloat(element.getAttribute('data-decode-duration')) || 1200,
+            splitter: null,
+            frameId: null,
+            done: false
+        };
+    }
+
+    enter(state) {
+        state.done = true;
+        this.observer.unobserve(state.element);
+
+        state.splitter = new TextSplitter(state.element, { type: 'chars' });
+        const chars = state.splitter.chars.map((span, i, all) => ({
+            span: span,
+            text: span.textContent,
+            resolveAt: (i / all.length) * state.duration * 0.7 + Math.random() * state.duration * 0.3
+        }));
+
+        let startTime = null;
+        let lastSwap = -Infinity;
+        this.run(state, (time) => {
+            if (startTime === null) startTime = time;
+            const elapsed = time - startTime;
+            const swap = elapsed - lastSwap >= 50;
+            if (swap) lastSwap = elapsed;
+
+            let pending = 0;
+            chars.forEach(char => {
+                if (elapsed >= char.resolveAt) {
+                    char.span.textContent = char.text;
+                } else {
+                    pending++;
+                    if (swap) char.span.textContent = this.randomGlyph(state.charset);
+                }
+            });
+
+            if (pending) return true;
+            this.restore(state);
+            return false;
+        });
+    }
+
+    restore(state) {
+        if (state.splitter) {
+            state.splitter.revert();
+            state.splitter = null;
+        }
+    }
+}
+
+// Superposition: while in view the text rests in one state, then flickers
+// character by character between its own text and data-alt-text before
+// collapsing into the other one. The changing text is aria-hidden and a
+// visually hidden copy of the original (.sr-only) is read instead. Both
+// strings are plain text.
+//   data-alt-text               the second state
+//   data-superposition-hold     ms to rest between flickers, default 3000
+class SuperpositionText extends GlitchEffect {
+    constructor() {
+        super('[data-alt-text]');
+    }
+
+    setup(element) {
+        const text = element.textContent.replace(/\s+/g, ' ').trim();
+        const alt = element.getAttribute('data-alt-text');
+        if (!alt) return null;
+
+        return {
+            element: element,
+            states: [Array.from(text), Array.from(alt)],
+            hold: parseFloat(element.getAttribute('data-superposition-hold')) || 3000,
+            original: null,
+            display: null,
+            current: 0,
+            frameId: null,
+            done: false
+        };
+    }
+
+    enter(state) {
+        if (!state.original) {
+            state.original = Array.from(state.element.childNodes);
+            state.display = document.createElement('span');
+            state.display.setAttribute('aria-hidden', 'true');
+            state.display.textContent = state.states[state.current].join('');
+
+            const label = document.createElement('span');
+            label.className = 'sr-only';
+            label.textContent = state.states[0].join('');
+            state.element.replaceChildren(label, state.display);
+        }
+
+        const burst = 600;
+        let phaseStart = null;
+        let lastSwap = -Infinity;
+        this.run(state, (time) => {
+            if (phaseStart === null) phaseStart = time;
+            const elapsed = time - phaseStart;
+
+            if (elapsed < state.hold) return true;
+
+            if (elapsed < state.hold + burst) {
+                if (elapsed - lastSwap >= 60) {
+                    lastSwap = elapsed;
+                    const [a, b] = state.states;
+                    const length = Math.max(a.length, b.length);
+                    let mixed = '';
+                    for (let i = 0; i < length; i++) {
+                        mixed += (Math.random() < 0.5 ? a[i] : b[i]) || '';
+                    }
+                    state.display.textContent = mixed;
+                }
+                return true;
+            }
+
+            // Collapse into the other state and rest again
+            state.current = 1 - state.current;
+            state.display.textContent = state.states[state.current].join('');
+            phaseStart = time;
+            lastSwap = -Infinity;
+            return true;
         });
     }
+
+    leave(state) {
+        this.stop(state);
+        if (state.display) state.display.textContent = state.states[state.current].join('');
+    }
+
+    restore(state) {
+        if (!state.original) return;
+
+        state.element.replaceChildren(...state.original);
+        state.original = null;
+        state.display = null;
+        state.current = 0;
+    }
 }
 
 // ==========================================
@@ -274,50 +1240,31 @@ document.addEventListener('DOMContentLoaded', () => {
     new ScrollAnimations();
     new CounterAnimation();
     new MagneticButtons();
-    new ParallaxEffect();
+    new ScrollTimelines();
     // new CursorTrail(); // Uncomment for cursor trail effect
     new TextReveal();
     new GlitchEffect();
+    new DecodeText();
+    new SuperpositionText();
 });
 
 // Add CSS for animation classes
 const animationStyles = document.createElement('style');
 animationStyles.textContent = `
-    .animate-section {
-        opacity: 0;
-        transform: translateY(40px);
-        transition: opacity 0.8s ease, transform 0.8s ease;
-    }
-
-    .animate-section.animate-in {
-        opacity: 1;
-        transform: translateY(0);
-    }
-
-    .animate-card {
-        opacity: 0;
-        transform: translateY(30px) scale(0.95);
-        transition: opacity 0.6s ease, transform 0.6s ease;
-    }
-
-    .animate-card.animate-in {
-        opacity: 1;
-        transform: translateY(0) scale(1);
-    }
-
-    .stagger-child {
-        opacity: 0;
-        transform: translateY(20px);
-        transition: opacity 0.5s ease, transform 0.5s ease;
+    .split-word,
+    .split-char,
+    .split-line {
+        display: inline-block;
     }
 
-    .stagger-child.animate-in {
-        opacity: 1;
-        transform: translateY(0);
+    /* Fragments are painted on their own, so gradient text needs the clip per fragment */
+    :is(.gradient-text, .gradient-text-alt) :is(.split-word, .split-char, .split-line) {
+        background: inherit;
+        -webkit-background-clip: text;
+        background-clip: text;
     }
 
-    .reveal-char {
-        display: inline-block;
+    .reveal-fragment {
         opacity: 0;
         transform: translateY(20px);
         animation: revealChar 0.5s ease forwards;
@@ -0,0 +1,623 @@
+/**
+ * xQubit.AI - Circuit Builder
+ * Drag-and-drop quantum circuit widget with a step-through simulator,
+ * a probability histogram and OpenQASM 2 import/export
+ */
+
+// ==========================================
+// Gate Set
+// ==========================================
+// Keys are the OpenQASM 2 (qelib1.inc) gate names
+const CircuitGates = {
+    h: { label: 'H', name: 'Hadamard' },
+    x: { label: 'X', name: 'Pauli-X' },
+    y: { label: 'Y', name: 'Pauli-Y' },
+    z: { label: 'Z', name: 'Pauli-Z' },
+    s: { label: 'S', name: 'S phase' },
+    t: { label: 'T', name: 'T phase' },
+    cx: { label: 'CX', name: 'CNOT' },
+    measure: { label: 'M', name: 'Measure' }
+};
+
+const CircuitMaxQubits = 8;
+const CircuitMaxSteps = 32;
+
+// ==========================================
+// OpenQASM 2
+// ==========================================
+// A circuit is { qubits, steps, operations }, where each operation is
+// { gate, qubit, step } plus `target` for cx (qubit is then the control).
+function circuitToQasm(circuit) {
+    const lines = [
+        'OPENQASM 2.0;',
+        'include "qelib1.inc";',
+        `qreg q[${circuit.qubits}];`,
+        `creg c[${circuit.qubits}];`
+    ];
+
+    sortOperations(circuit.operations).forEach(op => {
+        if (op.gate === 'cx') {
+            lines.push(`cx q[${op.qubit}],q[${op.target}];`);
+        } else if (op.gate === 'measure') {
+            lines.push(`measure q[${op.qubit}] -> c[${op.qubit}];`);
+        } else {
+            lines.push(`${op.gate} q[${op.qubit}];`);
+        }
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// Parses the subset of OpenQASM 2 the builder can draw. Operations are
+// packed into the earliest step where none of their qubits is busy.
+// Throws an Error naming the line for anything it doesn't understand.
+function circuitFromQasm(text) {
+    let qubits = 0;
+    const operations = [];
+    const nextStep = [];
+
+    const source = text.replace(/\/\/.*$/gm, '');
+    let offset = 0;
+
+    source.split(';').forEach(chunk => {
+        const statement = chunk.trim();
+        const start = offset + chunk.indexOf(statement);
+        offset += chunk.length + 1;
+        if (!statement) return;
+
+        const lineNumber = source.slice(0, start).split('\n').length;
+
+        const fail = (message) => {
+            throw new Error(`Line ${lineNumber}: ${message}`);
+        };
+
+        if (/^OPENQASM\s+2(\.0)?$/.test(statement) || /^include\s+"qelib1\.inc"$/.test(statement)) return;
+        if (/^(creg|barrier)\b/.test(statement)) return;
+
+        const qreg = statement.match(/^qreg\s+q\[(\d+)\]$/);
+        if (qreg) {
+            if (qubits) fail('only one qreg is supported');
+            qubits = Number(qreg[1]);
+            if (qubits < 1 || qubits > CircuitMaxQubits) fail(`qreg must have 1 to ${CircuitMaxQubits} qubits`);
+            for (let q = 0; q < qubits; q++) nextStep.push(0);
+            return;
+        }
+
+        if (!qubits) fail('expected "qreg q[n]" before the first gate');
+
+        const qubit = (name) => {
+            const index = Number(name);
+            if (index >= qubits) fail(`q[${index}] is outside qreg q[${qubits}]`);
+            return index;
+        };
+
+        let op = null;
+        const measure = statement.match(/^measure\s+q\[(\d+)\]\s*->\s*c\[(\d+)\]$/);
+        const cx = statement.match(/^cx\s+q\[(\d+)\]\s*,\s*q\[(\d+)\]$/);
+        const single = statement.match(/^([a-z]+)\s+q\[(\d+)\]$/);
+
+        if (measure) {
+            op = { gate: 'measure', qubit: qubit(measure[1]) };
+            if (Number(measure[2]) !== op.qubit) fail(`q[${op.qubit}] can only be measured into c[${op.qubit}]`);
+        } else if (cx) {
+            op = { gate: 'cx', qubit: qubit(cx[1]), target: qubit(cx[2]) };
+            if (op.qubit === op.target) fail('cx needs two different qubits');
+        } else if (single && CircuitGates[single[1]] && single[1] !== 'cx' && single[1] !== 'measure') {
+            op = { gate: single[1], qubit: qubit(single[2]) };
+        } else {
+            fail(`unsupported statement "${statement.split(/\s/)[0]}"`);
+        }
+
+        const [from, to] = operationSpan(op);
+        let step = 0;
+        for (let q = from; q <= to; q++) step = Math.max(step, nextStep[q]);
+        if (step >= CircuitMaxSteps) fail(`circuits are limited to ${CircuitMaxSteps} steps`);
+        for (let q = from; q <= to; q++) nextStep[q] = step + 1;
+
+        op.step = step;
+        operations.push(op);
+    });
+
+    if (!qubits) throw new Error('No "qreg q[n]" declaration found');
+
+    return {
+        qubits: qubits,
+        steps: Math.max(...nextStep),
+        operations: operations
+    };
+}
+
+// Rows an operation covers; a CNOT also blocks the wires it crosses
+function operationSpan(op) {
+    if (op.gate !== 'cx' || op.target === null) return [op.qubit, op.qubit];
+    return [Math.min(op.qubit, op.target), Math.max(op.qubit, op.target)];
+}
+
+function sortOperations(operations) {
+    return operations.slice().sort((a, b) => a.step - b.step || a.qubit - b.qubit);
+}
+
+// ==========================================
+// Circuit Builder
+// ==========================================
+// Mounts into any element with data-circuit-builder. Gates are dragged
+// from the palette onto a wire (or picked and then placed with a click,
+// for touch and keyboard); a CNOT is dropped on its control and wired by
+// clicking its target in the same column. Clicking a placed gate removes
+// it. Step runs one column on a QuantumRegister, and every edit rewinds.
+//
+// Options come from data-qubits, data-steps and data-qasm (an initial
+// circuit). Colors come from the --scene-* custom properties, so the
+// widget follows the site theme.
+class CircuitBuilder {
+    constructor(container, options = {}) {
+        this.container = typeof container === 'string' ? document.getElementById(container) : container;
+        if (!this.container) return;
+
+        this.qubits = Math.min(Math.max(options.qubits || 3, 1), CircuitMaxQubits);
+        this.steps = Math.min(Math.max(options.steps || 10, 1), CircuitMaxSteps);
+        this.operations = [];
+        this.armed = null;
+        this.wiring = null;
+        this.cursor = 0;
+
+        this.init();
+
+        // A broken data-qasm keeps its error in the status line
+        if (options.qasm && this.importQasm(options.qasm)) this.say('');
+    }
+
+    init() {
+        this.container.classList.add('circuit-builder');
+        this.container.innerHTML = `
+            <div class="circuit-toolbar">
+                <div class="circuit-palette" role="toolbar" aria-label="Gates">
+                    ${Object.keys(CircuitGates).map(gate => `
+                        <button type="button" class="circuit-gate circuit-gate-${gate}" draggable="true" data-gate="${gate}" aria-pressed="false" title="${CircuitGates[gate].name}">${CircuitGates[gate].label}</button>
+                    `).join('')}
+                </div>
+                <label class="circuit-qubits">
+                    Qubits
+                    <select data-control="qubits">
+                        ${Array.from({ length: CircuitMaxQubits }, (_, i) => `<option value="${i + 1}">${i + 1}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+            <div class="circuit-grid" role="grid" aria-label="Circuit"></div>
+            <div class="circuit-controls">
+                <button type="button" class="btn btn-primary" data-control="step">Step</button>
+                <button type="button" class="btn btn-ghost" data-control="run">Run</button>
+                <button type="button" class="btn btn-ghost" data-control="rewind">Rewind</button>
+                <button type="button" class="btn btn-ghost" data-control="clear">Clear</button>
+            </div>
+            <p class="circuit-status" role="status" aria-live="polite"></p>
+            <div class="circuit-results">
+                <div class="circuit-histogram" aria-label="Measurement probabilities"></div>
+                <div class="circuit-qasm">
+                    <label for="${this.qasmId()}">OpenQASM 2</label>
+                    <textarea id="${this.qasmId()}" spellcheck="false" rows="8"></textarea>
+                    <div class="circuit-qasm-actions">
+                        <button type="button" class="btn btn-ghost" data-control="export">Export</button>
+                        <button type="button" class="btn btn-ghost" data-control="import">Import</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.grid = this.container.querySelector('.circuit-grid');
+        this.status = this.container.querySelector('.circuit-status');
+        this.histogram = this.container.querySelector('.circuit-histogram');
+        this.qasm = this.container.querySelector('textarea');
+        this.qubitSelect = this.container.querySelector('[data-control="qubits"]');
+        this.qubitSelect.value = String(this.qubits);
+
+        this.bindEvents();
+        this.rewind();
+    }
+
+    // Unique id so the label works with several builders on a page
+    qasmId() {
+        if (!this.id) {
+            CircuitBuilder.count = (CircuitBuilder.count || 0) + 1;
+            this.id = `circuit-qasm-${CircuitBuilder.count}`;
+        }
+        return this.id;
+    }
+
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const gate = e.target.closest('.circuit-gate');
+            const slot = e.target.closest('.circuit-slot');
+            const control = e.target.closest('button[data-control]');
+
+            if (gate) this.arm(this.armed === gate.dataset.gate ? null : gate.dataset.gate);
+            if (slot) this.onSlotClick(Number(slot.dataset.qubit), Number(slot.dataset.step));
+            if (control) this.onControl(control.dataset.control);
+        });
+
+        this.qubitSelect.addEventListener('change', () => {
+            this.setQubits(Number(this.qubitSelect.value));
+        });
+
+        this.container.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape') return;
+            this.cancelWiring();
+            this.arm(null);
+        });
+
+        // Drag from the palette (new gate) or from the grid (move a gate)
+        this.container.addEventListener('dragstart', (e) => {
+            const gate = e.target.closest('.circuit-gate');
+            const placed = e.target.closest('.circuit-slot[data-op]');
+            if (gate) {
+                e.dataTransfer.setData('text/plain', `gate:${gate.dataset.gate}`);
+            } else if (placed) {
+                // A CNOT can be grabbed by either end; the drop row is that end
+                const op = this.operations[Number(placed.dataset.op)];
+                const end = op.gate === 'cx' && Number(placed.dataset.qubit) === op.target ? 'target' : 'control';
+                e.dataTransfer.setData('text/plain', `op:${placed.dataset.op}:${end}`);
+            } else {
+                return;
+            }
+            e.dataTransfer.effectAllowed = 'copyMove';
+        });
+
+        this.grid.addEventListener('dragover', (e) => {
+            if (!e.target.closest('.circuit-slot')) return;
+            e.preventDefault();
+        });
+
+        this.grid.addEventListener('drop', (e) => {
+            const slot = e.target.closest('.circuit-slot');
+            if (!slot) return;
+            e.preventDefault();
+
+            const [kind, value, end] = e.dataTransfer.getData('text/plain').split(':');
+            const qubit = Number(slot.dataset.qubit);
+            const step = Number(slot.dataset.step);
+
+            if (kind === 'gate' && CircuitGates[value]) {
+                this.place(value, qubit, step);
+            } else if (kind === 'op') {
+                this.move(this.operations[Number(value)], qubit, step, end);
+            }
+        });
+    }
+
+    arm(gate) {
+        this.armed = gate;
+        this.container.querySelectorAll('.circuit-gate').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.gate === gate));
+        });
+        if (gate) this.say(`${CircuitGates[gate].name} selected. Click a wire to place it.`);
+    }
+
+    onSlotClick(qubit, step) {
+        if (this.wiring) {
+            this.finishWiring(qubit, step);
+            return;
+        }
+
+        const op = this.operationAt(qubit, step);
+        if (op) {
+            this.remove(op);
+        } else if (this.armed) {
+            this.place(this.armed, qubit, step);
+        }
+    }
+
+    onControl(control) {
+        switch (control) {
+            case 'step':
+                this.step();
+                break;
+            case 'run':
+                this.run();
+                break;
+            case 'rewind':
+                this.rewind();
+                this.say('Rewound to |0…0⟩.');
+                break;
+            case 'clear':
+                this.operations = [];
+                this.wiring = null;
+                this.changed();
+                this.say('Circuit cleared.');
+                break;
+            case 'export':
+                this.qasm.value = this.exportQasm();
+                this.say('Circuit exported as OpenQASM 2.');
+                break;
+            case 'import':
+                this.importQasm(this.qasm.value);
+                break;
+        }
+    }
+
+    // ==========================================
+    // Editing
+    // ==========================================
+    operationAt(qubit, step) {
+        return this.operations.find(op => {
+            if (op.step !== step) return false;
+            return op.qubit === qubit || op.target === qubit;
+        });
+    }
+
+    // Whether rows from..to are free in a step, ignoring one operation
+    isFree(step, from, to, ignore) {
+        return this.operations.every(op => {
+            if (op === ignore || op.step !== step) return true;
+            const [start, end] = operationSpan(op);
+            return end < from || start > to;
+        });
+    }
+
+    place(gate, qubit, step) {
+        this.cancelWiring();
+        if (!this.isFree(step, qubit, qubit)) {
+            this.say('That spot is taken. Click a gate to remove it first.');
+            return;
+        }
+
+        if (gate === 'cx') {
+            if (this.qubits < 2) {
+                this.say('CNOT needs at least two qubits.');
+                return;
+            }
+            this.wiring = { gate: 'cx', qubit: qubit, target: null, step: step };
+            this.operations.push(this.wiring);
+            this.changed();
+            this.say(`Now click the CNOT target on step ${step + 1}.`);
+            return;
+        }
+
+        this.operations.push({ gate: gate, qubit: qubit, step: step });
+        this.changed();
+        this.say(`${CircuitGates[gate].name} placed on q[${qubit}], step ${step + 1}.`);
+    }
+
+    finishWiring(qubit, step) {
+        const op = this.wiring;
+        const [from, to] = [Math.min(op.qubit, qubit), Math.max(op.qubit, qubit)];
+
+        if (step !== op.step || qubit === op.qubit || !this.isFree(step, from, to, op)) {
+            this.say('Pick a free target on another wire in the same step, or press Escape.');
+            return;
+        }
+
+        op.target = qubit;
+        this.wiring = null;
+        this.changed();
+        this.say(`CNOT from q[${op.qubit}] to q[${qubit}] placed.`);
+    }
+
+    cancelWiring() {
+        if (!this.wiring) return;
+        this.operations.splice(this.operations.indexOf(this.wiring), 1);
+        this.wiring = null;
+        this.changed();
+    }
+
+    // `end` is the end of a CNOT that was dragged ('control' or 'target');
+    // it lands on the drop row and the other end keeps its offset
+    move(op, qubit, step, end = 'control') {
+        if (!op || op === this.wiring) return;
+
+        const offset = op.gate === 'cx' ? op.target - op.qubit : 0;
+        const control = end === 'target' ? qubit - offset : qubit;
+        const target = control + offset;
+        if (control < 0 || control >= this.qubits || target < 0 || target >= this.qubits) return;
+
+        if (!this.isFree(step, Math.min(control, target), Math.max(control, target), op)) {
+            this.say('That spot is taken.');
+            return;
+        }
+
+        op.qubit = control;
+        op.step = step;
+        if (op.gate === 'cx') op.target = target;
+        this.changed();
+    }
+
+    remove(op) {
+        this.operations.splice(this.operations.indexOf(op), 1);
+        this.changed();
+        this.say(`${CircuitGates[op.gate].name} removed.`);
+    }
+
+    setQubits(count) {
+        this.cancelWiring();
+        this.qubits = count;
+        this.operations = this.operations.filter(op => operationSpan(op)[1] < count);
+        this.changed();
+    }
+
+    // Any edit invalidates the run, so start again from |0…0>
+    changed() {
+        this.rewind();
+    }
+
+    // ==========================================
+    // Execution
+    // ==========================================
+    rewind() {
+        this.register = new QuantumRegister(this.qubits, CircuitMaxQubits);
+        this.cursor = 0;
+        this.render();
+    }
+
+    // Steps after the last gate are skipped
+    get length() {
+        return this.operations.reduce((last, op) => Math.max(last, op.step + 1), 0);
+    }
+
+    step() {
+        if (this.wiring) {
+            this.say('Finish wiring the CNOT first.');
+            return;
+        }
+        if (this.cursor >= this.length) {
+            this.say('End of circuit. Rewind to run it again.');
+            return;
+        }
+
+        const column = sortOperations(this.operations.filter(op => op.step === this.cursor));
+        column.forEach(op => {
+            if (op.gate === 'cx') {
+                this.register.cnot(op.qubit, op.target);
+            } else {
+                this.register[op.gate](op.qubit);
+            }
+        });
+
+        this.cursor++;
+        this.render();
+
+        const measured = column.filter(op => op.gate === 'measure');
+        const outcomes = measured.map(op => `q[${op.qubit}] = ${this.register.measured[op.qubit]}`).join(', ');
+        this.say(`Ran step ${this.cursor}.${outcomes ? ` Measured ${outcomes}.` : ''}`);
+    }
+
+    run() {
+        if (this.cursor >= this.length) this.rewind();
+        while (this.cursor < this.length && !this.wiring) {
+            this.step();
+        }
+    }
+
+    // ==========================================
+    // OpenQASM
+    // ==========================================
+    exportQasm() {
+        return circuitToQasm({
+            qubits: this.qubits,
+            steps: this.steps,
+            operations: this.operations.filter(op => op !== this.wiring)
+        });
+    }
+
+    importQasm(text) {
+        let circuit;
+        try {
+            circuit = circuitFromQasm(text);
+        } catch (error) {
+            this.say(`Import failed. ${error.message}`);
+            return false;
+        }
+
+        this.wiring = null;
+        this.qubits = circuit.qubits;
+        this.steps = Math.max(this.steps, circuit.steps);
+        this.operations = circuit.operations;
+        this.qubitSelect.value = String(this.qubits);
+        this.qasm.value = circuitToQasm(circuit);
+        this.changed();
+        this.say(`Imported ${circuit.operations.length} operations on ${circuit.qubits} qubits.`);
+        return true;
+    }
+
+    // ==========================================
+    // Rendering
+    // ==========================================
+    say(message) {
+        this.status.textContent = message;
+    }
+
+    render() {
+        this.renderGrid();
+        this.renderHistogram();
+    }
+
+    renderGrid() {
+        const rows = [];
+
+        for (let qubit = 0; qubit < this.qubits; qubit++) {
+            const cells = [`<div class="circuit-wire-label" role="rowheader">q[${qubit}]</div>`];
+
+            for (let step = 0; step < this.steps; step++) {
+                cells.push(this.renderSlot(qubit, step));
+            }
+
+            rows.push(`<div class="circuit-row" role="row">${cells.join('')}</div>`);
+        }
+
+        this.grid.style.setProperty('--circuit-steps', this.steps);
+        this.grid.innerHTML = rows.join('');
+    }
+
+    renderSlot(qubit, step) {
+        const op = this.operationAt(qubit, step);
+        const classes = ['circuit-slot'];
+        let content = '';
+        let label = `q[${qubit}], step ${step + 1}`;
+
+        if (step < this.cursor) classes.push('is-done');
+        if (step === this.cursor && this.cursor < this.length) classes.push('is-next');
+
+        // Vertical CNOT wire through the rows between control and target
+        const crossing = this.operations.find(other => {
+            if (other.gate !== 'cx' || other.step !== step || other.target === null) return false;
+            const [from, to] = operationSpan(other);
+            return qubit >= from && qubit <= to;
+        });
+        if (crossing) {
+            const [from, to] = operationSpan(crossing);
+            if (qubit > from) classes.push('wire-up');
+            if (qubit < to) classes.push('wire-down');
+        }
+
+        if (op && op.gate === 'cx') {
+            const isControl = op.qubit === qubit;
+            classes.push(isControl ? 'is-control' : 'is-target');
+            if (op === this.wiring) classes.push('is-wiring');
+            content = `<span class="circuit-op">${isControl ? '' : '+'}</span>`;
+            label += isControl ? `, CNOT control${op.target === null ? '' : ` for q[${op.target}]`}` : `, CNOT target of q[${op.qubit}]`;
+        } else if (op) {
+            classes.push(`circuit-op-${op.gate}`);
+            content = `<span class="circuit-op">${CircuitGates[op.gate].label}</span>`;
+            label += `, ${CircuitGates[op.gate].name}`;
+        } else {
+            label += ', empty';
+        }
+
+        const index = op ? this.operations.indexOf(op) : -1;
+        const drag = op && op !== this.wiring ? ` draggable="true" data-op="${index}"` : '';
+
+        return `<button type="button" class="${classes.join(' ')}" role="gridcell" data-qubit="${qubit}" data-step="${step}"${drag} aria-label="${label}">${content}</button>`;
+    }
+
+    // Basis states are written q[n-1]…q[0], the usual OpenQASM bit order.
+    // Small registers list every state; larger ones only the likely ones.
+    renderHistogram() {
+        const probabilities = this.register.probabilities();
+        const rows = [];
+
+        probabilities.forEach((p, state) => {
+            if (probabilities.length > 16 && p < 0.0005) return;
+
+            const bits = state.toString(2).padStart(this.qubits, '0');
+            const percent = Math.round(p * 1000) / 10;
+            rows.push(`
+                <div class="circuit-bar" style="--p: ${p}">
+                    <span class="circuit-bar-label">|${bits}⟩</span>
+                    <span class="circuit-bar-track"><span class="circuit-bar-fill"></span></span>
+                    <span class="circuit-bar-value">${percent}%</span>
+                </div>
+            `);
+        });
+
+        this.histogram.innerHTML = rows.join('');
+    }
+}
+
+// Mount every [data-circuit-builder] container when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('[data-circuit-builder]').forEach(container => {
+        new CircuitBuilder(container, {
+            qubits: parseInt(container.dataset.qubits, 10),
+            steps: parseInt(container.dataset.steps, 10),
+            qasm: container.dataset.qasm
+        });
+    });
+});
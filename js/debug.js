@@ -0,0 +1,19 @@
+/**
+ * xQubit.AI - Debug Log
+ * Authoring warnings, shown only with ?debug in the URL
+ */
+
+// ==========================================
+// Debug Log
+// ==========================================
+// Mistakes in the markup (unknown scene names, invalid options, broken
+// keyframes) and failed optional loads are reported through here rather
+// than straight to the console, so visitors' consoles stay quiet. Any
+// ?debug=<topic> turns the messages on, ?debug=scenes included.
+const debugLog = {
+    enabled: new URLSearchParams(window.location.search).has('debug'),
+
+    warn(area, message, ...details) {
+        if (this.enabled) console.warn(`[xQubit ${area}] ${message}`, ...details);
+    }
+};
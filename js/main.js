@@ -9,33 +9,53 @@
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize all components
     initTheme();
+    initMotionToggle();
     initPreloader();
     initNavigation();
     initMobileMenu();
     initSmoothScroll();
-    initScrollEffects();
 });
 
 // ==========================================
 // Theme Toggle
 // ==========================================
+// The theme itself is applied from <head> by js/theme.js; this wires the button
 function initTheme() {
     const themeToggle = document.getElementById('theme-toggle');
-    const html = document.documentElement;
 
-    // Check for saved theme preference or default to dark
-    const savedTheme = localStorage.getItem('theme') || 'dark';
-    html.setAttribute('data-theme', savedTheme);
+    if (!themeToggle) return;
 
-    if (themeToggle) {
-        themeToggle.addEventListener('click', () => {
-            const currentTheme = html.getAttribute('data-theme');
-            const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+    const cycle = ['dark', 'light', 'system'];
 
-            html.setAttribute('data-theme', newTheme);
-            localStorage.setItem('theme', newTheme);
-        });
-    }
+    const syncLabel = () => {
+        themeToggle.setAttribute('aria-label', `Theme: ${themeManager.getPreference()}. Click to change`);
+    };
+
+    syncLabel();
+    themeManager.subscribe(syncLabel);
+
+    themeToggle.addEventListener('click', () => {
+        const index = cycle.indexOf(themeManager.getPreference());
+        themeManager.set(cycle[(index + 1) % cycle.length]);
+    });
+}
+
+// ==========================================
+// Motion Toggle
+// ==========================================
+function initMotionToggle() {
+    const motionToggle = document.getElementById('motion-toggle');
+
+    if (!motionToggle) return;
+
+    const syncState = (reduced) => {
+        motionToggle.setAttribute('aria-pressed', String(reduced));
+    };
+
+    syncState(motionPreference.isReduced());
+    motionPreference.subscribe(syncState);
+
+    motionToggle.addEventListener('click', () => motionPreference.toggle());
 }
 
 // ==========================================
@@ -185,38 +205,12 @@ function initSmoothScroll() {
 
             window.scrollTo({
                 top: targetPosition,
-                behavior: 'smooth'
+                behavior: motionPreference.isReduced() ? 'auto' : 'smooth'
             });
         });
     });
 }
 
-// ==========================================
-// Scroll Effects
-// ==========================================
-function initScrollEffects() {
-    // Fade in hero scroll indicator
-    const scrollIndicator = document.querySelector('.hero-scroll');
-
-    if (scrollIndicator) {
-        window.addEventListener('scroll', () => {
-            const scrollY = window.scrollY;
-            const opacity = Math.max(0, 1 - scrollY / 300);
-            scrollIndicator.style.opacity = opacity;
-        });
-    }
-
-    // Parallax effect for hero background
-    const heroCanvas = document.getElementById('hero-canvas');
-
-    if (heroCanvas) {
-        window.addEventListener('scroll', () => {
-            const scrollY = window.scrollY;
-            heroCanvas.style.transform = `translateY(${scrollY * 0.3}px)`;
-        });
-    }
-}
-
 // ==========================================
 // Utility Functions
 // ==========================================
@@ -0,0 +1,87 @@
+/**
+ * xQubit.AI - Motion Preference
+ * Reduced-motion state shared by animations, scroll effects and 3D scenes,
+ * loaded in <head> so a stored choice applies before first paint
+ */
+
+// ==========================================
+// Motion Preference
+// ==========================================
+// Follows the prefers-reduced-motion media query unless the visitor has
+// picked a mode with the navbar toggle, which is stored in localStorage.
+// Toggling back to what the system asks for clears the stored choice, so
+// the page follows the system setting again.
+// The resolved mode is mirrored to <html data-motion="reduce|full"> so CSS
+// can settle transitions and keyframe animations to their final state.
+class MotionPreference {
+    constructor() {
+        this.storageKey = 'motion';
+        this.query = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.listeners = new Set();
+        this.override = this.readOverride();
+        this.reduced = this.resolve();
+
+        this.apply();
+
+        this.query.addEventListener('change', () => this.refresh());
+    }
+
+    // 'reduce', 'full', or null when following the system setting
+    readOverride() {
+        try {
+            return localStorage.getItem(this.storageKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setOverride(mode) {
+        try {
+            if (mode) {
+                localStorage.setItem(this.storageKey, mode);
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            // Storage can be unavailable (private mode); the choice still applies to this page
+        }
+
+        this.override = mode;
+        this.refresh();
+    }
+
+    resolve() {
+        if (this.override === 'reduce') return true;
+        if (this.override === 'full') return false;
+        return this.query.matches;
+    }
+
+    isReduced() {
+        return this.reduced;
+    }
+
+    toggle() {
+        const reduce = !this.reduced;
+        this.setOverride(reduce === this.query.matches ? null : (reduce ? 'reduce' : 'full'));
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    refresh() {
+        const reduced = this.resolve();
+        if (reduced === this.reduced) return;
+
+        this.reduced = reduced;
+        this.apply();
+        this.listeners.forEach(listener => listener(reduced));
+    }
+
+    apply() {
+        document.documentElement.setAttribute('data-motion', this.reduced ? 'reduce' : 'full');
+    }
+}
+
+const motionPreference = new MotionPreference();
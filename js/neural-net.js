@@ -0,0 +1,55 @@
+/**
+ * xQubit.AI - Neural Network
+ * Tiny multilayer perceptron behind the About section visual
+ */
+
+// ==========================================
+// Multilayer Perceptron
+// ==========================================
+// Fully connected tanh network with fixed random weights. A `density`
+// below 1 prunes connections (their weight is exactly 0), which is how the
+// scene decides which links to draw. weights[l][j][i] connects node i of
+// layer l to node j of layer l + 1.
+class MultilayerPerceptron {
+    constructor(layers, density = 1, random = Math.random) {
+        this.layers = layers;
+        this.weights = [];
+        this.biases = [];
+
+        for (let l = 0; l < layers.length - 1; l++) {
+            // Xavier/Glorot uniform range keeps tanh out of saturation
+            const range = Math.sqrt(6 / (layers[l] + layers[l + 1]));
+
+            this.weights.push(Array.from({ length: layers[l + 1] }, () => (
+                Array.from({ length: layers[l] }, () => (
+                    random() < density ? (random() * 2 - 1) * range : 0
+                ))
+            )));
+            this.biases.push(Array.from({ length: layers[l + 1] }, () => (random() * 2 - 1) * 0.1));
+        }
+    }
+
+    // Activations of every layer, inputs included
+    forward(inputs) {
+        const activations = [inputs.slice(0, this.layers[0])];
+
+        this.weights.forEach((layer, l) => {
+            const previous = activations[l];
+            activations.push(layer.map((row, j) => {
+                const sum = row.reduce((total, weight, i) => total + weight * (previous[i] || 0), this.biases[l][j]);
+                return Math.tanh(sum);
+            }));
+        });
+
+        return activations;
+    }
+
+    // Largest absolute weight, for scaling visuals
+    maxWeight() {
+        let max = 0;
+        this.weights.forEach(layer => layer.forEach(row => row.forEach(weight => {
+            max = Math.max(max, Math.abs(weight));
+        })));
+        return max || 1;
+    }
+}
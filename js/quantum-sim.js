@@ -0,0 +1,236 @@
+/**
+ * xQubit.AI - Quantum Register Simulator
+ * Small state-vector simulator behind the interactive qubit array and the
+ * circuit builder
+ */
+
+// ==========================================
+// Quantum Register
+// ==========================================
+// A full state vector for 25 qubits would need 2^25 amplitudes, so the
+// register is kept as a product of independent groups. Every qubit starts
+// in its own group in |0>; a CNOT between two groups merges them into one
+// state vector, and measuring a qubit splits it back out. A merge that
+// would grow a group past maxGroupSize is refused.
+//
+// Inside a group, bit k of an amplitude's index is the value of
+// group.qubits[k]. Amplitudes are stored as separate real and imaginary
+// arrays.
+class QuantumRegister {
+    constructor(size, maxGroupSize = 12) {
+        this.size = size;
+        this.maxGroupSize = maxGroupSize;
+        this.reset();
+    }
+
+    reset() {
+        this.groups = [];
+        // Qubit index -> its group
+        this.groupOf = [];
+        // Last measurement outcome per qubit, or null once a gate touches it
+        this.measured = [];
+
+        for (let q = 0; q < this.size; q++) {
+            this.groupOf.push(this.createGroup([q], [1, 0], [0, 0]));
+            this.measured.push(null);
+        }
+    }
+
+    createGroup(qubits, re, im) {
+        const group = {
+            qubits: qubits,
+            re: Float64Array.from(re),
+            im: Float64Array.from(im)
+        };
+        this.groups.push(group);
+        return group;
+    }
+
+    removeGroup(group) {
+        this.groups.splice(this.groups.indexOf(group), 1);
+    }
+
+    // Apply a 2x2 unitary given as [[a, b], [c, d]] of [re, im] pairs
+    applySingle(q, matrix) {
+        const group = this.groupOf[q];
+        const bit = 1 << group.qubits.indexOf(q);
+        const re = group.re;
+        const im = group.im;
+        const [[a, b], [c, d]] = matrix;
+
+        for (let i = 0; i < re.length; i++) {
+            if (i & bit) continue;
+            const j = i | bit;
+            const r0 = re[i], i0 = im[i], r1 = re[j], i1 = im[j];
+
+            re[i] = a[0] * r0 - a[1] * i0 + b[0] * r1 - b[1] * i1;
+            im[i] = a[0] * i0 + a[1] * r0 + b[0] * i1 + b[1] * r1;
+            re[j] = c[0] * r0 - c[1] * i0 + d[0] * r1 - d[1] * i1;
+            im[j] = c[0] * i0 + c[1] * r0 + d[0] * i1 + d[1] * r1;
+        }
+
+        this.measured[q] = null;
+    }
+
+    x(q) {
+        this.applySingle(q, [[[0, 0], [1, 0]], [[1, 0], [0, 0]]]);
+    }
+
+    h(q) {
+        const s = Math.SQRT1_2;
+        this.applySingle(q, [[[s, 0], [s, 0]], [[s, 0], [-s, 0]]]);
+    }
+
+    y(q) {
+        this.applySingle(q, [[[0, 0], [0, -1]], [[0, 1], [0, 0]]]);
+    }
+
+    z(q) {
+        this.applySingle(q, [[[1, 0], [0, 0]], [[0, 0], [-1, 0]]]);
+    }
+
+    s(q) {
+        this.applySingle(q, [[[1, 0], [0, 0]], [[0, 0], [0, 1]]]);
+    }
+
+    t(q) {
+        this.applySingle(q, [[[1, 0], [0, 0]], [[0, 0], [Math.SQRT1_2, Math.SQRT1_2]]]);
+    }
+
+    // Returns false when the merged state would be too large to simulate
+    cnot(control, target) {
+        if (control === target) return false;
+
+        if (!this.merge(this.groupOf[control], this.groupOf[target])) return false;
+
+        const group = this.groupOf[control];
+        const controlBit = 1 << group.qubits.indexOf(control);
+        const targetBit = 1 << group.qubits.indexOf(target);
+        const re = group.re;
+        const im = group.im;
+
+        for (let i = 0; i < re.length; i++) {
+            if (!(i & controlBit) || (i & targetBit)) continue;
+            const j = i | targetBit;
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+
+        this.measured[control] = null;
+        this.measured[target] = null;
+        return true;
+    }
+
+    canEntangle(a, b) {
+        const groupA = this.groupOf[a];
+        const groupB = this.groupOf[b];
+        return groupA === groupB || groupA.qubits.length + groupB.qubits.length <= this.maxGroupSize;
+    }
+
+    // Tensor product of two groups; b's qubits take the higher bits
+    merge(a, b) {
+        if (a === b) return true;
+        if (a.qubits.length + b.qubits.length > this.maxGroupSize) return false;
+
+        const shift = a.qubits.length;
+        const length = a.re.length * b.re.length;
+        const re = new Float64Array(length);
+        const im = new Float64Array(length);
+
+        for (let ib = 0; ib < b.re.length; ib++) {
+            for (let ia = 0; ia < a.re.length; ia++) {
+                const index = ia | (ib << shift);
+                re[index] = a.re[ia] * b.re[ib] - a.im[ia] * b.im[ib];
+                im[index] = a.re[ia] * b.im[ib] + a.im[ia] * b.re[ib];
+            }
+        }
+
+        this.removeGroup(a);
+        this.removeGroup(b);
+        const merged = this.createGroup(a.qubits.concat(b.qubits), re, im);
+        merged.qubits.forEach(q => {
+            this.groupOf[q] = merged;
+        });
+        return true;
+    }
+
+    // Marginal probability of reading 1 on qubit q
+    probability(q) {
+        const group = this.groupOf[q];
+        const bit = 1 << group.qubits.indexOf(q);
+        let p = 0;
+
+        for (let i = 0; i < group.re.length; i++) {
+            if (i & bit) p += group.re[i] * group.re[i] + group.im[i] * group.im[i];
+        }
+
+        return Math.min(Math.max(p, 0), 1);
+    }
+
+    // Probability of every basis state of the whole register, where bit q
+    // of the index is qubit q. Only sensible for small registers.
+    probabilities() {
+        const result = new Float64Array(1 << this.size).fill(1);
+
+        this.groups.forEach(group => {
+            const local = group.re.map((re, i) => re * re + group.im[i] * group.im[i]);
+
+            for (let state = 0; state < result.length; state++) {
+                let index = 0;
+                group.qubits.forEach((q, k) => {
+                    if (state & (1 << q)) index |= 1 << k;
+                });
+                result[state] *= local[index];
+            }
+        });
+
+        return result;
+    }
+
+    // True when qubit q shares its state with at least one other qubit
+    isEntangled(q) {
+        return this.groupOf[q].qubits.length > 1;
+    }
+
+    // Collapse qubit q to 0 or 1 and split it out of its group
+    measure(q, random = Math.random) {
+        const group = this.groupOf[q];
+        const k = group.qubits.indexOf(q);
+        const bit = 1 << k;
+        const outcome = random() < this.probability(q) ? 1 : 0;
+
+        // Keep the amplitudes consistent with the outcome, dropping bit k
+        const half = group.re.length >> 1;
+        const re = new Float64Array(half);
+        const im = new Float64Array(half);
+        const low = bit - 1;
+        let norm = 0;
+
+        for (let i = 0; i < group.re.length; i++) {
+            if (((i & bit) ? 1 : 0) !== outcome) continue;
+            const index = (i & low) | ((i >> 1) & ~low);
+            re[index] = group.re[i];
+            im[index] = group.im[i];
+            norm += re[index] * re[index] + im[index] * im[index];
+        }
+
+        norm = Math.sqrt(norm) || 1;
+        for (let i = 0; i < half; i++) {
+            re[i] /= norm;
+            im[i] /= norm;
+        }
+
+        this.removeGroup(group);
+        const rest = group.qubits.filter(other => other !== q);
+        if (rest.length) {
+            const remaining = this.createGroup(rest, re, im);
+            rest.forEach(other => {
+                this.groupOf[other] = remaining;
+            });
+        }
+        this.groupOf[q] = this.createGroup([q], outcome ? [0, 1] : [1, 0], [0, 0]);
+        this.measured[q] = outcome;
+
+        return outcome;
+    }
+}
@@ -0,0 +1,987 @@
+/**
+ * xQubit.AI - Scene Core
+ * Shared render loop, quality tiers, WebGL context, fallbacks, scene
+ * registry and capture for the Three.js scenes
+ */
+
+// ==========================================
+// Render Scheduler
+// ==========================================
+// Drives every registered scene from one requestAnimationFrame loop.
+// Scenes whose container is off-screen are skipped, and the loop stops
+// completely while the tab is hidden or nothing is left to render.
+// In reduced-motion mode scenes are "still": each draws a single frame
+// when it scrolls into view or is invalidated, and nothing animates.
+// Freezing time (?freeze=<seconds> in the URL, or freeze()) is still mode
+// with every scene drawn at that exact time, for reproducible screenshots.
+// A single scene can also be made idle, which draws it like a still one
+// (e.g. a card scene that only plays while hovered). timeScale speeds up or
+// slows down every scene's clock, and frame observers get each frame's
+// timing, which the scene inspector uses.
+class RenderScheduler {
+    constructor() {
+        this.entries = new Map();
+        this.frameId = null;
+        this.lastFrame = null;
+        this.still = motionPreference.isReduced();
+        this.timeScale = 1;
+        this.frameObservers = new Set();
+
+        const freeze = parseFloat(new URLSearchParams(window.location.search).get('freeze'));
+        this.frozenTime = Number.isFinite(freeze) ? freeze : null;
+
+        this.observer = new IntersectionObserver((observed) => {
+            observed.forEach(item => {
+                this.entries.forEach(entry => {
+                    if (entry.element === item.target) {
+                        entry.visible = item.isIntersecting;
+                    }
+                });
+            });
+            this.update();
+        }, { rootMargin: '100px 0px' });
+
+        document.addEventListener('visibilitychange', () => this.update());
+        window.addEventListener('resize', () => this.invalidate());
+        motionPreference.subscribe((reduced) => this.setStill(reduced));
+    }
+
+    register(scene, element = scene.container) {
+        if (this.entries.has(scene)) return this.entries.get(scene);
+
+        const entry = {
+            scene: scene,
+            element: element,
+            visible: false,
+            paused: false,
+            idle: false,
+            dirty: true,
+            elapsed: 0,
+            // How long the last animate() call took, in ms
+            frameMs: 0
+        };
+        this.entries.set(scene, entry);
+        this.observer.observe(element);
+        return entry;
+    }
+
+    unregister(scene) {
+        const entry = this.entries.get(scene);
+        if (!entry) return;
+
+        this.entries.delete(scene);
+
+        const shared = [...this.entries.values()].some(other => other.element === entry.element);
+        if (!shared) {
+            this.observer.unobserve(entry.element);
+        }
+        this.update();
+    }
+
+    pause(scene) {
+        const entry = this.entries.get(scene);
+        if (!entry) return;
+        entry.paused = true;
+        this.update();
+    }
+
+    resume(scene) {
+        const entry = this.entries.get(scene);
+        if (!entry) return;
+        entry.paused = false;
+        this.update();
+    }
+
+    isPaused(scene) {
+        const entry = this.entries.get(scene);
+        return entry ? entry.paused : false;
+    }
+
+    setIdle(scene, idle) {
+        const entry = this.entries.get(scene);
+        if (!entry || entry.idle === idle) return;
+        entry.idle = idle;
+        entry.dirty = true;
+        this.update();
+    }
+
+    setStill(still) {
+        this.still = still;
+        this.invalidate();
+    }
+
+    // Render every scene at `time` seconds until unfreeze()
+    freeze(time) {
+        this.frozenTime = time;
+        this.invalidate();
+    }
+
+    unfreeze() {
+        this.frozenTime = null;
+        this.invalidate();
+    }
+
+    isFrozen() {
+        return this.frozenTime !== null;
+    }
+
+    isStill() {
+        return this.still || this.isFrozen();
+    }
+
+    // The time a scene was last (or will next be) drawn at, in seconds
+    timeOf(scene) {
+        if (this.isFrozen()) return this.frozenTime;
+        const entry = this.entries.get(scene);
+        return entry ? entry.elapsed : 0;
+    }
+
+    // Listener gets { delta, duration } after every frame: seconds since the
+    // last frame, and ms spent animating scenes in this one
+    observeFrames(listener) {
+        this.frameObservers.add(listener);
+        return () => this.frameObservers.delete(listener);
+    }
+
+    // Ask for a fresh frame; only matters for still scenes, animated ones redraw anyway
+    invalidate(scene) {
+        this.entries.forEach(entry => {
+            if (!scene || entry.scene === scene) {
+                entry.dirty = true;
+            }
+        });
+        this.update();
+    }
+
+    isActive(entry) {
+        return entry.visible && !entry.paused && ((!this.isStill() && !entry.idle) || entry.dirty);
+    }
+
+    // Start or stop the loop depending on whether anything can render
+    update() {
+        const shouldRun = !document.hidden &&
+            [...this.entries.values()].some(entry => this.isActive(entry));
+
+        if (shouldRun && this.frameId === null) {
+            this.frameId = requestAnimationFrame((now) => this.tick(now));
+        } else if (!shouldRun && this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+            this.lastFrame = null;
+        }
+    }
+
+    tick(now) {
+        this.frameId = null;
+
+        // Clamp the step so scenes don't jump after a long stall
+        const delta = this.isStill() || this.lastFrame === null ? 0 : Math.min((now - this.lastFrame) / 1000, 0.1);
+        this.lastFrame = now;
+        sceneQuality.sample(delta * 1000);
+
+        const frameStart = performance.now();
+        this.entries.forEach(entry => {
+            if (!this.isActive(entry)) return;
+
+            const step = entry.idle ? 0 : delta * this.timeScale;
+            const start = performance.now();
+            entry.dirty = false;
+            entry.elapsed = this.isFrozen() ? this.frozenTime : entry.elapsed + step;
+            entry.scene.animate(entry.elapsed, step);
+            entry.frameMs = performance.now() - start;
+        });
+
+        const timing = { delta: delta, duration: performance.now() - frameStart };
+        this.frameObservers.forEach(listener => listener(timing));
+
+        this.update();
+        if (this.frameId === null) {
+            this.lastFrame = null;
+        }
+    }
+}
+
+const sceneScheduler = new RenderScheduler();
+
+// ==========================================
+// Quality Manager
+// ==========================================
+// Picks a starting tier from the viewport width and CPU core count, then
+// watches frame times and steps the tier down when frames run long, or back
+// up when there is headroom. The shared renderer and every scene subscribe
+// and rebuild at the new level of detail.
+const QualityTiers = [
+    { name: 'low', pixelRatio: 1, particleScale: 0.35, segmentScale: 0.5, antialias: false },
+    { name: 'medium', pixelRatio: 1.5, particleScale: 0.65, segmentScale: 0.75, antialias: false },
+    { name: 'high', pixelRatio: 2, particleScale: 1, segmentScale: 1, antialias: true }
+];
+
+class QualityManager {
+    constructor() {
+        this.level = this.pickInitialLevel();
+        this.listeners = new Set();
+        this.samples = [];
+        this.sampleSize = 90;
+        this.slowFrameMs = 1000 / 40;
+        this.fastFrameMs = 1000 / 55;
+
+        // A tier we had to leave twice is not retried
+        this.downgrades = QualityTiers.map(() => 0);
+    }
+
+    get tier() {
+        return QualityTiers[this.level];
+    }
+
+    pickInitialLevel() {
+        const cores = navigator.hardwareConcurrency || 4;
+        const width = window.innerWidth;
+
+        if (cores <= 2) return 0;
+        if (width < 768) return cores >= 6 ? 1 : 0;
+        if (cores <= 4 || width < 1280) return 1;
+        return 2;
+    }
+
+    sample(frameMs) {
+        if (frameMs <= 0) return;
+
+        this.samples.push(frameMs);
+        if (this.samples.length < this.sampleSize) return;
+
+        const average = this.samples.reduce((sum, ms) => sum + ms, 0) / this.samples.length;
+        this.samples = [];
+
+        if (average > this.slowFrameMs && this.level > 0) {
+            this.downgrades[this.level]++;
+            this.setLevel(this.level - 1);
+        } else if (average < this.fastFrameMs && this.level < QualityTiers.length - 1 &&
+                   this.downgrades[this.level + 1] < 2) {
+            this.setLevel(this.level + 1);
+        }
+    }
+
+    setLevel(level) {
+        const clamped = Math.max(0, Math.min(QualityTiers.length - 1, level));
+        if (clamped === this.level) return;
+
+        this.level = clamped;
+        this.samples = [];
+        this.listeners.forEach(listener => listener(this.tier));
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Scale a particle or object count to the current tier
+    count(base) {
+        return Math.max(1, Math.round(base * this.tier.particleScale));
+    }
+
+    // Scale a geometry segment count to the current tier
+    segments(base) {
+        return Math.max(6, Math.round(base * this.tier.segmentScale));
+    }
+}
+
+const sceneQuality = new QualityManager();
+
+// ==========================================
+// Shared Renderer
+// ==========================================
+// Mobile browsers cap the number of live WebGL contexts per page, so every
+// scene draws through this one renderer. A scene renders into a scissored
+// viewport sized to its container's box, and the pixels are copied onto a
+// plain 2D canvas inside that container, which keeps each scene in its own
+// spot in the page's stacking, opacity and transform rules.
+//
+// If the GPU drops the context, views keep showing their last frame until
+// it comes back; subscribers are then told so they can rebuild their
+// scene graphs.
+class SharedRenderer {
+    constructor() {
+        this.renderer = null;
+        this.antialias = false;
+        this.width = 0;
+        this.height = 0;
+        this.lost = false;
+        this.listeners = new Set();
+
+        this.onContextLost = (event) => {
+            // Without preventDefault the browser never restores the context
+            event.preventDefault();
+            this.lost = true;
+        };
+        this.onContextRestored = () => {
+            this.lost = false;
+            this.width = 0;
+            this.height = 0;
+            this.listeners.forEach(listener => listener());
+        };
+
+        // Antialiasing is fixed at context creation, so a change needs a new renderer
+        sceneQuality.subscribe((tier) => {
+            if (this.renderer && tier.antialias !== this.antialias) {
+                this.reset();
+            }
+        });
+    }
+
+    get pixelRatio() {
+        return Math.min(window.devicePixelRatio, sceneQuality.tier.pixelRatio);
+    }
+
+    getRenderer() {
+        if (!this.renderer) {
+            this.antialias = sceneQuality.tier.antialias;
+            this.renderer = new THREE.WebGLRenderer({ antialias: this.antialias, alpha: true });
+            this.renderer.setPixelRatio(1);
+            this.renderer.setClearColor(0x000000, 0);
+            this.renderer.setScissorTest(true);
+
+            const canvas = this.renderer.domElement;
+            canvas.addEventListener('webglcontextlost', this.onContextLost);
+            canvas.addEventListener('webglcontextrestored', this.onContextRestored);
+        }
+        return this.renderer;
+    }
+
+    // Listener runs after a lost context has been restored
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    reset() {
+        const canvas = this.renderer.domElement;
+        canvas.removeEventListener('webglcontextlost', this.onContextLost);
+        canvas.removeEventListener('webglcontextrestored', this.onContextRestored);
+
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+        this.renderer = null;
+        this.lost = false;
+        this.width = 0;
+        this.height = 0;
+    }
+
+    createView(container) {
+        const canvas = document.createElement('canvas');
+        canvas.className = 'scene-view';
+        container.appendChild(canvas);
+
+        return {
+            container: container,
+            canvas: canvas,
+            context: canvas.getContext('2d'),
+            width: 0,
+            height: 0
+        };
+    }
+
+    // Grow the shared drawing buffer so the largest view fits
+    reserve(width, height) {
+        if (width <= this.width && height <= this.height) return;
+
+        this.width = Math.max(width, this.width);
+        this.height = Math.max(height, this.height);
+        this.renderer.setSize(this.width, this.height, false);
+    }
+
+    // Drop back to the size the views need after a large capture
+    trim() {
+        this.width = 0;
+        this.height = 0;
+    }
+
+    // Draw a scene into any 2D canvas at that canvas's size, over an
+    // optional background color (captures and recordings)
+    renderToCanvas(canvas, scene, camera, background) {
+        if (this.lost) return;
+
+        const renderer = this.getRenderer();
+        const width = canvas.width;
+        const height = canvas.height;
+        const aspect = camera.aspect;
+
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+
+        this.reserve(width, height);
+        renderer.setViewport(0, 0, width, height);
+        renderer.setScissor(0, 0, width, height);
+        renderer.render(scene, camera);
+
+        camera.aspect = aspect;
+        camera.updateProjectionMatrix();
+
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, width, height);
+        if (background) {
+            context.fillStyle = background;
+            context.fillRect(0, 0, width, height);
+        }
+        context.drawImage(renderer.domElement, 0, this.height - height, width, height, 0, 0, width, height);
+    }
+
+    render(view, scene, camera) {
+        if (this.lost) return;
+
+        const renderer = this.getRenderer();
+        const cssWidth = view.container.clientWidth;
+        const cssHeight = view.container.clientHeight;
+        if (!cssWidth || !cssHeight) return;
+
+        const width = Math.round(cssWidth * this.pixelRatio);
+        const height = Math.round(cssHeight * this.pixelRatio);
+
+        if (width !== view.width || height !== view.height) {
+            view.width = width;
+            view.height = height;
+            view.canvas.width = width;
+            view.canvas.height = height;
+
+            camera.aspect = cssWidth / cssHeight;
+            camera.updateProjectionMatrix();
+        }
+
+        this.reserve(width, height);
+        renderer.setViewport(0, 0, width, height);
+        renderer.setScissor(0, 0, width, height);
+        renderer.render(scene, camera);
+        // renderer.info resets on every render() call, so this is the view's own cost
+        view.info = { ...renderer.info.render };
+
+        // WebGL's origin is bottom-left, so the view sits at the bottom of the buffer
+        view.context.clearRect(0, 0, width, height);
+        view.context.drawImage(renderer.domElement, 0, this.height - height, width, height, 0, 0, width, height);
+    }
+}
+
+const sharedRenderer = new SharedRenderer();
+
+// ==========================================
+// Scene Support Detection
+// ==========================================
+// Checked once before any scene is built. When three.js didn't load or no
+// WebGL context can be created, scenes are replaced by static posters and
+// the reason is kept here (and on <html data-scene-fallback>) for debugging.
+const SceneSupport = {
+    checked: false,
+    supported: false,
+    reason: null,
+    failures: [],
+
+    detect() {
+        if (this.checked) return this.supported;
+        this.checked = true;
+
+        if (typeof THREE === 'undefined') {
+            this.recordFailure('three.js failed to load');
+        } else if (!window.WebGLRenderingContext) {
+            this.recordFailure('WebGL is not supported by this browser');
+        } else {
+            try {
+                sharedRenderer.getRenderer();
+            } catch (error) {
+                this.recordFailure(`WebGL context could not be created (${error.message})`);
+            }
+        }
+
+        this.supported = this.failures.length === 0;
+        return this.supported;
+    },
+
+    recordFailure(reason) {
+        this.failures.push(reason);
+        if (!this.reason) {
+            this.reason = reason;
+            document.documentElement.setAttribute('data-scene-fallback', reason);
+        }
+        debugLog.warn('scenes', reason);
+    }
+};
+
+// ==========================================
+// Scene Fallback Posters
+// ==========================================
+// Static SVG stand-ins for each scene, colored through CSS variables so
+// they follow the active theme like the live scenes do.
+function posterSvg(viewBox, content, fill = false) {
+    const aspect = fill ? 'xMidYMid slice' : 'xMidYMid meet';
+    return `<svg class="scene-fallback" viewBox="${viewBox}" preserveAspectRatio="${aspect}" aria-hidden="true" focusable="false">${content}</svg>`;
+}
+
+// Stable pseudo-random value in [0, 1) so posters look the same on every load
+function posterNoise(seed) {
+    const value = Math.sin(seed * 12.9898) * 43758.5453;
+    return value - Math.floor(value);
+}
+
+const ScenePosters = {
+    'quantum-hero': () => {
+        let content = '';
+
+        for (let i = 0; i < 140; i++) {
+            const radius = 45 + (i / 140) * 150;
+            const angle = i * 2.39996;
+            const x = 200 + radius * Math.cos(angle);
+            const y = 150 + radius * Math.sin(angle) * 0.6;
+            const tone = i % 2 ? 'poster-fill' : 'poster-fill-alt';
+            content += `<circle class="${tone}" cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="1.2" opacity="0.6"/>`;
+        }
+
+        [[60, 20, -15], [100, 34, 10], [140, 48, 25]].forEach(([rx, ry, tilt], i) => {
+            const tone = i === 1 ? 'poster-stroke-alt' : 'poster-stroke';
+            content += `<ellipse class="${tone}" cx="200" cy="150" rx="${rx}" ry="${ry}" transform="rotate(${tilt} 200 150)" opacity="0.4"/>`;
+        });
+
+        content += '<circle class="poster-stroke" cx="200" cy="150" r="16" opacity="0.8"/>';
+        content += '<circle class="poster-fill" cx="200" cy="150" r="6"/>';
+        return posterSvg('0 0 400 300', content, true);
+    },
+
+    'quantum-processor': () => {
+        const project = (col, row) => [150 + (col - row) * 26, 150 + (col + row - 4) * 13];
+        let lines = '';
+        let qubits = '';
+
+        for (let col = 0; col < 5; col++) {
+            for (let row = 0; row < 5; row++) {
+                const [x, y] = project(col, row);
+                [[col + 1, row], [col, row + 1]].forEach(([nextCol, nextRow]) => {
+                    if (nextCol > 4 || nextRow > 4) return;
+                    const [nx, ny] = project(nextCol, nextRow);
+                    lines += `<line class="poster-stroke" x1="${x}" y1="${y}" x2="${nx}" y2="${ny}" opacity="0.3"/>`;
+                });
+
+                const tone = (col + row) % 2 ? 'poster-fill-alt' : 'poster-fill';
+                qubits += `<ellipse class="poster-stroke" cx="${x}" cy="${y}" rx="9" ry="4.5" opacity="0.5"/>`;
+                qubits += `<circle class="${tone}" cx="${x}" cy="${y}" r="4" opacity="0.9"/>`;
+            }
+        }
+
+        return posterSvg('0 0 300 300', lines + qubits);
+    },
+
+    'neural-network': () => {
+        const layers = [4, 6, 8, 6, 4];
+        const positions = layers.map((count, layer) => {
+            return Array.from({ length: count }, (_, i) => [40 + layer * 80, 150 + (i - (count - 1) / 2) * 30]);
+        });
+        let lines = '';
+        let nodes = '';
+
+        positions.forEach((layer, l) => {
+            layer.forEach(([x, y], i) => {
+                (positions[l + 1] || []).forEach(([nx, ny]) => {
+                    lines += `<line class="poster-stroke" x1="${x}" y1="${y}" x2="${nx}" y2="${ny}" opacity="0.15"/>`;
+                });
+
+                const tone = l === 0 || l === layers.length - 1 ? 'poster-fill' : 'poster-fill-alt';
+                nodes += `<circle class="${tone}" cx="${x}" cy="${y}" r="5" opacity="0.8"/>`;
+            });
+        });
+
+        return posterSvg('0 0 400 300', lines + nodes);
+    },
+
+    'floating-particles': () => {
+        let content = '';
+
+        for (let i = 0; i < 90; i++) {
+            const x = posterNoise(i + 1) * 600;
+            const y = posterNoise(i + 101) * 300;
+            const tone = i % 2 ? 'poster-fill' : 'poster-fill-alt';
+            content += `<circle class="${tone}" cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="1.6" opacity="0.7"/>`;
+        }
+
+        return posterSvg('0 0 600 300', content, true);
+    },
+
+    'feature-quantum': () => {
+        let content = '';
+
+        [0, 60, 120].forEach((tilt, i) => {
+            const tone = i % 2 ? 'poster-stroke-alt' : 'poster-stroke';
+            const electron = i % 2 ? 'poster-fill-alt' : 'poster-fill';
+            content += `<g transform="rotate(${tilt} 100 100)">`;
+            content += `<ellipse class="${tone}" cx="100" cy="100" rx="${62 + i * 12}" ry="22" opacity="0.5"/>`;
+            content += `<circle class="${electron}" cx="${162 + i * 12}" cy="100" r="4"/>`;
+            content += '</g>';
+        });
+
+        content += '<circle class="poster-stroke" cx="100" cy="100" r="16" opacity="0.8"/>';
+        return posterSvg('0 0 200 200', content);
+    },
+
+    'feature-entanglement': () => {
+        let content = '<path class="poster-stroke" d="M70 50 Q100 30 130 50 T190 50 T250 50" opacity="0.4"/>';
+
+        [[70, 'poster-fill', -1], [250, 'poster-fill-alt', 1]].forEach(([x, tone, direction]) => {
+            content += `<circle class="${tone}" cx="${x}" cy="50" r="10" opacity="0.9"/>`;
+            content += `<line class="poster-stroke" x1="${x}" y1="50" x2="${x}" y2="${50 + direction * 30}" stroke-width="2"/>`;
+        });
+
+        return posterSvg('0 0 320 100', content);
+    },
+
+    'feature-network': () => {
+        const layers = [3, 4, 2];
+        const positions = layers.map((count, layer) => {
+            return Array.from({ length: count }, (_, i) => [100 + layer * 60, 50 + (i - (count - 1) / 2) * 22]);
+        });
+        let content = '';
+
+        positions.forEach((layer, l) => {
+            layer.forEach(([x, y]) => {
+                (positions[l + 1] || []).forEach(([nx, ny]) => {
+                    content += `<line class="poster-stroke" x1="${x}" y1="${y}" x2="${nx}" y2="${ny}" opacity="0.3"/>`;
+                });
+            });
+        });
+        positions.forEach((layer, l) => layer.forEach(([x, y]) => {
+            content += `<circle class="${l === 1 ? 'poster-fill-alt' : 'poster-fill'}" cx="${x}" cy="${y}" r="5"/>`;
+        }));
+
+        return posterSvg('0 0 320 100', content);
+    },
+
+    'feature-wavefront': () => {
+        let content = '';
+
+        [[100, 'poster-stroke'], [220, 'poster-stroke-alt']].forEach(([x, tone]) => {
+            for (let r = 12; r <= 72; r += 15) {
+                content += `<circle class="${tone}" cx="${x}" cy="50" r="${r}" opacity="${(1 - r / 90).toFixed(2)}"/>`;
+            }
+        });
+
+        return posterSvg('0 0 320 100', content, true);
+    },
+
+    'feature-lattice': () => {
+        let content = '';
+
+        for (let row = -2; row <= 2; row++) {
+            for (let col = -4; col <= 4; col++) {
+                const x = 160 + col * 30 + row * 12;
+                const y = 50 + row * 18;
+                content += `<circle class="poster-fill" cx="${x}" cy="${y}" r="2.5" opacity="0.6"/>`;
+            }
+        }
+        content += '<line class="poster-stroke-alt" x1="160" y1="50" x2="190" y2="50" stroke-width="2"/>';
+        content += '<line class="poster-stroke-alt" x1="160" y1="50" x2="172" y2="68" stroke-width="2"/>';
+        content += '<circle class="poster-stroke" cx="214" cy="60" r="6"/>';
+
+        return posterSvg('0 0 320 100', content, true);
+    },
+
+    'agent-optimizer': () => {
+        let content = '';
+
+        for (let i = 0; i < 6; i++) {
+            content += `<ellipse class="poster-stroke" cx="170" cy="230" rx="${30 + i * 22}" ry="${16 + i * 12}" opacity="${(0.6 - i * 0.08).toFixed(2)}"/>`;
+        }
+        content += '<path class="poster-stroke-alt" d="M40 90 Q90 120 110 170 T170 230" stroke-width="2"/>';
+        content += '<circle class="poster-fill-alt" cx="170" cy="230" r="5"/>';
+
+        return posterSvg('0 0 300 400', content, true);
+    },
+
+    'agent-architect': () => {
+        const layers = [3, 5, 5, 2];
+        const positions = layers.map((count, layer) => {
+            return Array.from({ length: count }, (_, i) => [60 + layer * 60, 200 + (i - (count - 1) / 2) * 44]);
+        });
+        let content = '';
+
+        positions.forEach((layer, l) => {
+            layer.forEach(([x, y], i) => {
+                (positions[l + 1] || []).forEach(([nx, ny], j) => {
+                    if ((i + j) % 3 === 2) return;
+                    content += `<line class="poster-stroke" x1="${x}" y1="${y}" x2="${nx}" y2="${ny}" opacity="0.3"/>`;
+                });
+            });
+        });
+        positions.forEach((layer, l) => layer.forEach(([x, y]) => {
+            content += `<circle class="${l % 2 ? 'poster-fill-alt' : 'poster-fill'}" cx="${x}" cy="${y}" r="5"/>`;
+        }));
+
+        return posterSvg('0 0 300 400', content, true);
+    },
+
+    'agent-synthesizer': () => {
+        let content = '';
+
+        [[100, 140], [200, 200], [120, 280]].forEach(([cx, cy], k) => {
+            const tone = k % 2 ? 'poster-fill-alt' : 'poster-fill';
+            content += `<circle class="poster-stroke" cx="${cx}" cy="${cy}" r="34" opacity="0.3"/>`;
+            for (let i = 0; i < 14; i++) {
+                const angle = posterNoise(k * 20 + i + 1) * Math.PI * 2;
+                const radius = posterNoise(k * 20 + i + 301) * 28;
+                const x = cx + Math.cos(angle) * radius;
+                const y = cy + Math.sin(angle) * radius;
+                content += `<circle class="${tone}" cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="2.5" opacity="0.8"/>`;
+            }
+        });
+
+        return posterSvg('0 0 300 400', content, true);
+    },
+
+    // The story background opens on the hero cloud
+    'story': () => ScenePosters['quantum-hero']()
+};
+
+function showSceneFallback(container, poster) {
+    container.querySelectorAll('.scene-view, .scene-fallback').forEach(node => node.remove());
+
+    const build = ScenePosters[poster];
+    if (build) {
+        container.insertAdjacentHTML('beforeend', build());
+    }
+}
+
+// ==========================================
+// Scene Options
+// ==========================================
+// Scene classes declare `static get schema()` as { name: { type, default,
+// min, max } }, with type 'number', 'boolean', 'string' or 'array'. Options passed to a constructor or read from
+// data-scene-options are checked against it; anything missing or invalid
+// falls back to the default.
+function resolveSceneOptions(schema, options = {}) {
+    const resolved = {};
+
+    Object.entries(schema).forEach(([name, field]) => {
+        const value = options[name];
+        resolved[name] = value === undefined ? field.default : coerceSceneOption(name, field, value);
+    });
+
+    return resolved;
+}
+
+function coerceSceneOption(name, field, value) {
+    const invalid = () => {
+        debugLog.warn('scenes', `Ignoring invalid value for option "${name}"`, value);
+        return field.default;
+    };
+
+    if (field.type === 'number') {
+        const number = Number(value);
+        if (!Number.isFinite(number)) return invalid();
+
+        const min = field.min !== undefined ? field.min : -Infinity;
+        const max = field.max !== undefined ? field.max : Infinity;
+        return Math.min(max, Math.max(min, number));
+    }
+
+    if (field.type === 'boolean') {
+        return typeof value === 'boolean' ? value : invalid();
+    }
+
+    if (field.type === 'string') {
+        return typeof value === 'string' || Number.isFinite(value) ? String(value) : invalid();
+    }
+
+    if (field.type === 'array') {
+        const valid = Array.isArray(value) && value.length > 0 &&
+            value.every(item => Number.isFinite(item) && item > 0);
+        return valid ? value.slice() : invalid();
+    }
+
+    return value;
+}
+
+// ==========================================
+// Seeded Randomness
+// ==========================================
+// Scene code never calls Math.random(). Each scene draws from named
+// streams derived from a seed: its `seed` option, else the page seed from
+// ?seed=... in the URL, else one picked at load and kept in
+// SceneRandom.seed so a bug report can quote it. Separate streams keep,
+// say, a rebuild at another quality from shifting the network weights.
+const SceneRandom = {
+    seed: new URLSearchParams(window.location.search).get('seed') ||
+        String(Math.floor(Math.random() * 0x100000000)),
+
+    // 32-bit FNV-1a
+    hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    },
+
+    // mulberry32: returns a Math.random() replacement
+    create(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+        };
+    },
+
+    stream(seed, name) {
+        return this.create(this.hash(`${seed}:${name}`));
+    }
+};
+
+// ==========================================
+// Scene Registry
+// ==========================================
+// Markup such as <div data-scene="neural-network" data-scene-options='{"layers":[4,6,4]}'>
+// is discovered and mounted automatically; scene classes register a name
+// with define(). A container whose scene can't start gets that name's
+// fallback poster instead.
+//
+// The page picks a scene mode with data-scene-mode on <html>: "sections"
+// (the default, one scene per section) or "story" (one background that
+// morphs as the page scrolls). ?scenes=story or ?scenes=sections in the
+// URL overrides it. Containers marked data-scene-only="<mode>" are only
+// mounted in that mode.
+function readSceneMode() {
+    const root = document.documentElement;
+    const requested = new URLSearchParams(window.location.search).get('scenes');
+
+    if (requested === 'sections' || requested === 'story') {
+        root.setAttribute('data-scene-mode', requested);
+    }
+    return root.getAttribute('data-scene-mode') || 'sections';
+}
+
+const SceneRegistry = {
+    types: new Map(),
+    mounted: new Map(),
+    mode: readSceneMode(),
+
+    define(name, SceneClass) {
+        this.types.set(name, SceneClass);
+    },
+
+    readOptions(container) {
+        const raw = container.getAttribute('data-scene-options');
+        if (!raw) return {};
+
+        try {
+            return JSON.parse(raw);
+        } catch (error) {
+            debugLog.warn('scenes', `Invalid data-scene-options JSON (${error.message})`, container);
+            return {};
+        }
+    },
+
+    mount(container) {
+        if (this.mounted.has(container)) return this.mounted.get(container);
+
+        const name = container.getAttribute('data-scene');
+        const SceneClass = this.types.get(name);
+        if (!SceneClass) {
+            debugLog.warn('scenes', `Unknown scene type "${name}"`, container);
+            return null;
+        }
+
+        let scene = null;
+        if (SceneSupport.detect()) {
+            try {
+                scene = new SceneClass(container, this.readOptions(container));
+            } catch (error) {
+                SceneSupport.recordFailure(`${name} scene failed to start (${error.message})`);
+            }
+        }
+
+        if (!scene) {
+            showSceneFallback(container, name);
+        }
+
+        this.mounted.set(container, scene);
+        return scene;
+    },
+
+    mountAll(root = document) {
+        root.querySelectorAll('[data-scene]').forEach(container => {
+            const only = container.getAttribute('data-scene-only');
+            if (!only || only === this.mode) this.mount(container);
+        });
+    },
+
+    // Tear down a mounted scene (or its poster) so the container can be removed or mounted again
+    unmount(container) {
+        if (!this.mounted.has(container)) return;
+
+        const scene = this.mounted.get(container);
+        if (scene) {
+            scene.destroy();
+        }
+        container.querySelectorAll('.scene-fallback').forEach(node => node.remove());
+        this.mounted.delete(container);
+    },
+
+    unmountAll(root = document) {
+        this.mounted.forEach((scene, container) => {
+            if (root === container || root.contains(container)) {
+                this.unmount(container);
+            }
+        });
+    }
+};
+
+// ==========================================
+// Scene Capture
+// ==========================================
+// Console-friendly wrappers around a scene's capturePNG() and recordWebM()
+// that look the scene up and download the result, e.g.
+//   SceneCapture.png('hero-canvas', { width: 3840, height: 2160 })
+//   SceneCapture.webm('quantum-processor', { seconds: 8, fps: 60, seed: 'launch' })
+// A scene is named by its container, the container's id or its data-scene
+// name. Both return a promise of the blob.
+const SceneCapture = {
+    find(target) {
+        if (target && typeof target.capturePNG === 'function') return target;
+
+        let container = target;
+        if (typeof target === 'string') {
+            container = document.getElementById(target) ||
+                [...SceneRegistry.mounted.keys()].find(element => element.getAttribute('data-scene') === target);
+        }
+        return (container && SceneRegistry.mounted.get(container)) || null;
+    },
+
+    png(target, options = {}) {
+        return this.run(target, 'png', options, scene => scene.capturePNG(options));
+    },
+
+    webm(target, options = {}) {
+        return this.run(target, 'webm', options, scene => scene.recordWebM(options));
+    },
+
+    run(target, extension, options, capture) {
+        const scene = this.find(target);
+        if (!scene) {
+            return Promise.reject(new Error(`No running scene for ${target}`));
+        }
+
+        const name = scene.container.id || scene.container.getAttribute('data-scene') || 'scene';
+        const seed = options.seed === undefined || options.seed === null ? scene.seed : options.seed;
+        return capture(scene).then(blob => {
+            this.download(blob, `${name}-${seed}.${extension}`);
+            return blob;
+        });
+    },
+
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+};
@@ -0,0 +1,431 @@
+/**
+ * xQubit.AI - Scene Inspector
+ * Debug overlay for the Three.js scenes, enabled with ?debug=scenes
+ */
+
+// ==========================================
+// Scene Inspector
+// ==========================================
+// Lists every mounted scene with what it costs per frame, and turns each
+// scene's schema into live controls. A changed control remounts the scene
+// with the new options through data-scene-options, so options a scene only
+// reads at init or build time take effect too. Palette sliders override
+// the --scene-* values from ThemeValues inline on <html> (for both themes),
+// and "Copy JSON" puts everything that differs from the defaults on the
+// clipboard, ready for data-scene-options and the stylesheet. Each scene
+// also gets PNG and WebM capture buttons, using the Capture settings.
+// Closing the panel (destroy()) stops its refresh timer and frame observer.
+const InspectorRefreshMs = 500;
+const InspectorApplyDelay = 200;
+
+class SceneInspector {
+    constructor() {
+        this.rows = new Map();
+        this.pending = new Map();
+        this.frames = [];
+        this.refreshId = null;
+        this.stopObserving = null;
+        this.captureOptions = { width: 0, height: 0, transparent: false, seconds: 5, fps: 30, seed: '' };
+    }
+
+    init() {
+        this.panel = document.createElement('aside');
+        this.panel.className = 'scene-inspector';
+        this.panel.setAttribute('aria-label', 'Scene inspector');
+        this.panel.innerHTML = `
+            <div class="scene-inspector-header">
+                <strong>Scenes</strong>
+                <button type="button" class="scene-inspector-button" data-action="copy">Copy JSON</button>
+                <button type="button" class="scene-inspector-button" data-action="collapse" aria-expanded="true">Hide</button>
+                <button type="button" class="scene-inspector-button" data-action="close" aria-label="Close scene inspector">&times;</button>
+            </div>
+            <div class="scene-inspector-body">
+                <div class="scene-inspector-stats"></div>
+                <details class="scene-inspector-section" open>
+                    <summary>Global</summary>
+                    <div class="scene-inspector-globals"></div>
+                </details>
+                <details class="scene-inspector-section">
+                    <summary>Capture</summary>
+                    <div class="scene-inspector-capture"></div>
+                </details>
+                <div class="scene-inspector-scenes"></div>
+            </div>
+        `;
+        document.body.appendChild(this.panel);
+
+        this.stats = this.panel.querySelector('.scene-inspector-stats');
+        this.list = this.panel.querySelector('.scene-inspector-scenes');
+        this.buildGlobals(this.panel.querySelector('.scene-inspector-globals'));
+        this.buildCapture(this.panel.querySelector('.scene-inspector-capture'));
+
+        this.panel.querySelector('[data-action="copy"]').addEventListener('click', () => this.copySettings());
+        this.panel.querySelector('[data-action="collapse"]').addEventListener('click', (e) => {
+            const collapsed = this.panel.classList.toggle('is-collapsed');
+            e.currentTarget.textContent = collapsed ? 'Show' : 'Hide';
+            e.currentTarget.setAttribute('aria-expanded', String(!collapsed));
+        });
+        this.panel.querySelector('[data-action="close"]').addEventListener('click', () => this.destroy());
+
+        this.stopObserving = sceneScheduler.observeFrames(timing => {
+            this.frames.push(timing);
+            if (this.frames.length > 120) this.frames.shift();
+        });
+
+        this.refresh();
+        this.refreshId = setInterval(() => this.refresh(), InspectorRefreshMs);
+    }
+
+    destroy() {
+        clearInterval(this.refreshId);
+        this.refreshId = null;
+        if (this.stopObserving) {
+            this.stopObserving();
+            this.stopObserving = null;
+        }
+        this.pending.forEach(timeout => clearTimeout(timeout));
+        this.pending.clear();
+
+        this.panel.remove();
+        this.rows.clear();
+    }
+
+    // Clock speed and palette values, shared by every scene
+    buildGlobals(root) {
+        root.appendChild(this.createSlider('timeScale', { min: 0, max: 3, step: 0.05 }, sceneScheduler.timeScale, (value) => {
+            sceneScheduler.timeScale = value;
+        }));
+
+        const styles = getComputedStyle(document.documentElement);
+        Object.entries(ThemeValues).forEach(([key, property]) => {
+            const value = parseFloat(styles.getPropertyValue(property)) || 0;
+            root.appendChild(this.createSlider(key, { min: 0, max: 1, step: 0.01 }, value, (next) => {
+                document.documentElement.style.setProperty(property, String(next));
+                this.liveScenes().forEach(({ scene }) => {
+                    scene.updateColors();
+                    scene.requestRender();
+                });
+            }));
+        });
+    }
+
+    // Settings for the per-scene capture buttons; a size of 0 means the default
+    buildCapture(root) {
+        const fields = [
+            ['width', 'number'],
+            ['height', 'number'],
+            ['transparent', 'checkbox'],
+            ['seconds', 'number'],
+            ['fps', 'number'],
+            ['seed', 'text']
+        ];
+
+        fields.forEach(([name, type]) => {
+            const label = document.createElement('label');
+            label.className = 'scene-inspector-control';
+            label.innerHTML = `<span>${name}</span>`;
+
+            const input = document.createElement('input');
+            input.type = type;
+            if (type === 'checkbox') {
+                input.checked = this.captureOptions[name];
+            } else {
+                input.value = this.captureOptions[name];
+                input.placeholder = name === 'seed' ? 'current' : '';
+            }
+            if (type === 'number') input.min = 0;
+
+            input.addEventListener('change', () => {
+                this.captureOptions[name] = type === 'checkbox' ? input.checked
+                    : type === 'number' ? Math.max(parseFloat(input.value) || 0, 0)
+                    : input.value.trim();
+            });
+
+            label.appendChild(input);
+            root.appendChild(label);
+        });
+    }
+
+    capture(container, kind, button) {
+        const settings = this.captureOptions;
+        const options = {
+            width: settings.width || undefined,
+            height: settings.height || undefined,
+            seed: settings.seed || undefined
+        };
+        if (kind === 'png') {
+            options.transparent = settings.transparent;
+        } else {
+            options.seconds = settings.seconds || 5;
+            options.fps = settings.fps || 30;
+        }
+
+        const text = button.textContent;
+        button.disabled = true;
+        button.textContent = kind === 'png' ? 'Saving' : 'Recording';
+
+        SceneCapture[kind](container, options)
+            .catch(error => debugLog.warn('scenes', `Capture failed (${error.message})`))
+            .then(() => {
+                button.disabled = false;
+                button.textContent = text;
+            });
+    }
+
+    liveScenes() {
+        const scenes = [];
+        SceneRegistry.mounted.forEach((scene, container) => {
+            if (scene) scenes.push({ container: container, scene: scene });
+        });
+        return scenes;
+    }
+
+    // Name used for a container in the list and in the copied JSON
+    label(container) {
+        return container.id || container.getAttribute('data-scene');
+    }
+
+    refresh() {
+        const live = this.liveScenes();
+
+        // Rows are kept per container, so a remount keeps its controls
+        this.rows.forEach((row, container) => {
+            if (!SceneRegistry.mounted.has(container)) {
+                row.element.remove();
+                this.rows.delete(container);
+            }
+        });
+        live.forEach(({ container, scene }) => {
+            if (!this.rows.has(container)) this.addRow(container, scene);
+            this.updateRow(this.rows.get(container), scene);
+        });
+
+        this.updateStats(live);
+    }
+
+    addRow(container, scene) {
+        const element = document.createElement('details');
+        element.className = 'scene-inspector-section';
+        element.innerHTML = `
+            <summary>${this.label(container)} <span class="scene-inspector-muted">${scene.constructor.name}</span></summary>
+            <div class="scene-inspector-row-stats"></div>
+            <div class="scene-inspector-actions">
+                <button type="button" class="scene-inspector-button" data-capture="png">PNG</button>
+                <button type="button" class="scene-inspector-button" data-capture="webm">WebM</button>
+            </div>
+            <div class="scene-inspector-controls"></div>
+        `;
+
+        element.querySelectorAll('[data-capture]').forEach(button => {
+            button.addEventListener('click', () => this.capture(container, button.dataset.capture, button));
+        });
+
+        const controls = element.querySelector('.scene-inspector-controls');
+        const schema = { ...BaseScene.schema, ...scene.constructor.schema };
+        Object.entries(schema).forEach(([name, field]) => {
+            controls.appendChild(this.createControl(container, name, field, scene.options[name]));
+        });
+
+        this.list.appendChild(element);
+        this.rows.set(container, { element: element, stats: element.querySelector('.scene-inspector-row-stats') });
+    }
+
+    updateRow(row, scene) {
+        const entry = sceneScheduler.entries.get(scene);
+        const info = scene.view && scene.view.info;
+        const state = !entry ? 'stopped'
+            : entry.paused ? 'paused'
+            : !entry.visible ? 'off-screen'
+            : entry.idle ? 'idle'
+            : sceneScheduler.isStill() ? 'still' : 'running';
+
+        row.stats.textContent = [
+            state,
+            entry ? `${entry.frameMs.toFixed(2)} ms` : null,
+            info ? `${info.calls} calls` : null,
+            info ? `${this.formatCount(info.triangles)} tris` : null,
+            info && info.points ? `${this.formatCount(info.points)} points` : null,
+            `~${this.formatBytes(this.geometryBytes(scene))} geometry`
+        ].filter(Boolean).join(' · ');
+    }
+
+    updateStats(live) {
+        const frames = this.frames.filter(frame => frame.delta > 0);
+        const seconds = frames.reduce((total, frame) => total + frame.delta, 0);
+        const fps = seconds > 0 ? frames.length / seconds : 0;
+        const busy = frames.length ? frames.reduce((total, frame) => total + frame.duration, 0) / frames.length : 0;
+        this.frames = [];
+
+        const renderer = sharedRenderer.renderer;
+        const memory = renderer ? renderer.info.memory : { geometries: 0, textures: 0 };
+        // Color plus depth for the shared buffer, and a 2D copy per view
+        const views = live.reduce((total, { scene }) => total + (scene.view ? scene.view.width * scene.view.height * 4 : 0), 0);
+        const buffers = sharedRenderer.width * sharedRenderer.height * 8 + views;
+
+        this.stats.innerHTML = `
+            <span>${fps ? fps.toFixed(0) : '-'} fps</span>
+            <span>${busy.toFixed(2)} ms/frame</span>
+            <span>${sceneQuality.tier.name} quality</span>
+            <span>${memory.geometries} geometries, ${memory.textures} textures</span>
+            <span>~${this.formatBytes(buffers)} buffers</span>
+        `;
+    }
+
+    // Bytes held by the scene's vertex and index buffers
+    geometryBytes(scene) {
+        const seen = new Set();
+        let bytes = 0;
+
+        scene.scene.traverse(object => {
+            const geometry = object.geometry;
+            if (!geometry || seen.has(geometry)) return;
+            seen.add(geometry);
+
+            Object.values(geometry.attributes).forEach(attribute => {
+                bytes += attribute.array.byteLength;
+            });
+            if (geometry.index) bytes += geometry.index.array.byteLength;
+        });
+
+        return bytes;
+    }
+
+    formatCount(count) {
+        return count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+    }
+
+    formatBytes(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${Math.round(bytes / 1024)} KB`;
+    }
+
+    // Numbers without a declared range get one from their default
+    createControl(container, name, field, value) {
+        const apply = (next) => this.setOption(container, name, next);
+
+        if (field.type === 'number') {
+            const min = field.min !== undefined ? field.min : 0;
+            const max = Math.min(field.max !== undefined ? field.max : Infinity, Math.max(Math.abs(field.default) * 4, min + 1));
+            const step = Number.isInteger(field.default) && Number.isInteger(min) ? 1 : (max - min) / 100;
+            return this.createSlider(name, { min: min, max: max, step: step }, value, apply);
+        }
+
+        const label = document.createElement('label');
+        label.className = 'scene-inspector-control';
+        label.innerHTML = `<span>${name}</span>`;
+
+        const input = document.createElement('input');
+        if (field.type === 'boolean') {
+            input.type = 'checkbox';
+            input.checked = value;
+            input.addEventListener('change', () => apply(input.checked));
+        } else {
+            input.type = 'text';
+            input.value = Array.isArray(value) ? value.join(', ') : (value === null ? '' : value);
+            input.placeholder = field.default === null ? 'default' : String(field.default);
+            input.addEventListener('change', () => {
+                const text = input.value.trim();
+                if (field.type === 'array') {
+                    apply(text ? text.split(',').map(Number) : field.default);
+                } else {
+                    apply(text || field.default);
+                }
+            });
+        }
+
+        label.appendChild(input);
+        return label;
+    }
+
+    createSlider(name, range, value, onChange) {
+        const label = document.createElement('label');
+        label.className = 'scene-inspector-control';
+        label.innerHTML = `<span>${name}</span><output></output>`;
+
+        const output = label.querySelector('output');
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = range.min;
+        input.max = range.max;
+        input.step = range.step;
+        input.value = value;
+        output.textContent = this.formatValue(value);
+
+        input.addEventListener('input', () => {
+            const next = parseFloat(input.value);
+            output.textContent = this.formatValue(next);
+            onChange(next);
+        });
+
+        label.insertBefore(input, output);
+        return label;
+    }
+
+    formatValue(value) {
+        return Number.isInteger(value) ? String(value) : value.toFixed(2);
+    }
+
+    // Remount with the new option once the control has settled
+    setOption(container, name, value) {
+        const options = { ...SceneRegistry.readOptions(container), [name]: value };
+        container.setAttribute('data-scene-options', JSON.stringify(options));
+
+        clearTimeout(this.pending.get(container));
+        this.pending.set(container, setTimeout(() => {
+            this.pending.delete(container);
+            SceneRegistry.unmount(container);
+            SceneRegistry.mount(container);
+        }, InspectorApplyDelay));
+    }
+
+    // Options that differ from each scene's defaults, by container, plus
+    // any palette overrides and a non-default clock speed
+    settings() {
+        const scenes = {};
+        this.liveScenes().forEach(({ container, scene }) => {
+            const schema = { ...BaseScene.schema, ...scene.constructor.schema };
+            const changed = {};
+
+            Object.entries(schema).forEach(([name, field]) => {
+                if (JSON.stringify(scene.options[name]) !== JSON.stringify(field.default)) {
+                    changed[name] = scene.options[name];
+                }
+            });
+            if (Object.keys(changed).length) scenes[this.label(container)] = changed;
+        });
+
+        const palette = {};
+        Object.values(ThemeValues).forEach(property => {
+            const value = document.documentElement.style.getPropertyValue(property);
+            if (value) palette[property] = value.trim();
+        });
+
+        const settings = { scenes: scenes, palette: palette };
+        if (sceneScheduler.timeScale !== 1) settings.timeScale = sceneScheduler.timeScale;
+        return settings;
+    }
+
+    copySettings() {
+        const json = JSON.stringify(this.settings(), null, 2);
+        const button = this.panel.querySelector('[data-action="copy"]');
+
+        const copied = navigator.clipboard ? navigator.clipboard.writeText(json) : Promise.reject(new Error('no clipboard'));
+        copied
+            .then(() => {
+                button.textContent = 'Copied';
+                setTimeout(() => {
+                    button.textContent = 'Copy JSON';
+                }, 1500);
+            })
+            .catch(() => {
+                // Clipboard access is refused outside secure contexts; let the user copy it
+                window.prompt('Scene settings', json);
+            });
+    }
+}
+
+// Open the inspector with ?debug=scenes, once the scenes are mounted
+document.addEventListener('DOMContentLoaded', () => {
+    if (new URLSearchParams(window.location.search).get('debug') !== 'scenes') return;
+    new SceneInspector().init();
+});
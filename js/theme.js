@@ -0,0 +1,101 @@
+/**
+ * xQubit.AI - Theme Manager
+ * Dark / light / system theme state, loaded in <head> so the right theme
+ * is applied before first paint
+ */
+
+// ==========================================
+// Theme Manager
+// ==========================================
+// The stored preference is 'dark', 'light' or 'system'; 'system' follows
+// prefers-color-scheme live. The resolved theme goes on <html data-theme>
+// and the preference on <html data-theme-preference>. Changes are announced
+// to subscribers and as a `themechange` event on document, and other open
+// tabs pick them up through the storage event.
+class ThemeManager {
+    constructor() {
+        this.storageKey = 'theme';
+        this.preferences = ['dark', 'light', 'system'];
+        this.query = window.matchMedia('(prefers-color-scheme: light)');
+        this.listeners = new Set();
+        this.preference = this.readPreference();
+        this.theme = this.resolve();
+
+        this.apply();
+
+        this.query.addEventListener('change', () => {
+            if (this.preference === 'system') this.refresh();
+        });
+
+        window.addEventListener('storage', (event) => {
+            if (event.key !== this.storageKey) return;
+            this.preference = this.readPreference();
+            this.refresh();
+        });
+    }
+
+    readPreference() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(this.storageKey);
+        } catch (error) {
+            // Storage can be unavailable (private mode); fall back to the default
+        }
+        return this.preferences.includes(stored) ? stored : 'dark';
+    }
+
+    resolve() {
+        if (this.preference === 'system') {
+            return this.query.matches ? 'light' : 'dark';
+        }
+        return this.preference;
+    }
+
+    // Resolved theme: 'dark' or 'light'
+    get() {
+        return this.theme;
+    }
+
+    getPreference() {
+        return this.preference;
+    }
+
+    set(preference) {
+        if (!this.preferences.includes(preference)) return;
+
+        this.preference = preference;
+        try {
+            localStorage.setItem(this.storageKey, preference);
+        } catch (error) {
+            // Still applies to this page
+        }
+        this.refresh();
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    refresh() {
+        const previousTheme = this.theme;
+        const previousPreference = document.documentElement.getAttribute('data-theme-preference');
+
+        this.theme = this.resolve();
+        this.apply();
+
+        if (this.theme === previousTheme && this.preference === previousPreference) return;
+
+        const detail = { theme: this.theme, preference: this.preference };
+        this.listeners.forEach(listener => listener(detail));
+        document.dispatchEvent(new CustomEvent('themechange', { detail: detail }));
+    }
+
+    apply() {
+        const html = document.documentElement;
+        html.setAttribute('data-theme', this.theme);
+        html.setAttribute('data-theme-preference', this.preference);
+    }
+}
+
+const themeManager = new ThemeManager();
@@ -5,105 +5,659 @@
  */
 
 // Theme color management - Minimalist Monochrome Design
+// The palette lives in css/styles.css as --scene-* custom properties: the
+// dark palette in :root and the light theme's deep-blue depth scale under
+// [data-theme="light"]. Scenes read it at runtime, so one edit to the CSS
+// re-themes the whole site.
 const ThemeColors = {
-    dark: {
-        primary: 0x0EA5E9,      // Sky Blue
-        secondary: 0x06B6D4,    // Cyan
-        highlight: 0x14B8A6,    // Teal
-        background: 0x1a1a25,
-        particleOpacity: 0.8,
-        lineOpacity: 0.3,
-        glowOpacity: 0.9
-    },
-    light: {
-        // Monochrome depth-based color system for light theme
-        // Using deep blue as the single color family with varying shades
-        primary: 0x1e40af,      // Deep Blue - darkest (main elements)
-        secondary: 0x3b82f6,    // Medium Blue - mid-tone (secondary elements)
-        highlight: 0x60a5fa,    // Light Blue - brightest (accents)
-
-        // Depth levels for layered effects
-        depth1: 0x1e3a8a,       // Darkest - core elements
-        depth2: 0x2563eb,       // Dark - primary structures
-        depth3: 0x3b82f6,       // Medium - mid-layer elements
-        depth4: 0x60a5fa,       // Light - highlights
-        depth5: 0x93c5fd,       // Lightest - subtle accents
-
-        background: 0xfafbfd,
-        particleOpacity: 0.75,   // Slightly more subtle
-        lineOpacity: 0.35,       // Refined opacity
-        glowOpacity: 0.5,        // Softer glow
-
-        // Material properties for depth
-        wireframeOpacity: 0.6,
-        solidOpacity: 0.85,
-        emissiveIntensity: 0.15  // Subtle emissive glow
-    }
+    primary: '--scene-primary',
+    secondary: '--scene-secondary',
+    highlight: '--scene-highlight',
+
+    // Depth levels for layered effects, darkest to lightest
+    depth1: '--scene-depth-1',
+    depth2: '--scene-depth-2',
+    depth3: '--scene-depth-3',
+    depth4: '--scene-depth-4',
+    depth5: '--scene-depth-5',
+
+    // Negative values (network weights and activations)
+    negative: '--scene-negative',
+
+    grid: '--scene-grid',
+    gridLine: '--scene-grid-line',
+    background: '--scene-background'
+};
+
+const ThemeValues = {
+    particleOpacity: '--scene-particle-opacity',
+    lineOpacity: '--scene-line-opacity',
+    glowOpacity: '--scene-glow-opacity',
+    wireframeOpacity: '--scene-wireframe-opacity',
+    solidOpacity: '--scene-solid-opacity',
+    emissiveIntensity: '--scene-emissive-intensity'
 };
 
+// How long palette changes take to blend in, in ms
+const PaletteTweenDuration = 600;
+
 function getCurrentTheme() {
-    return document.documentElement.getAttribute('data-theme') || 'dark';
+    return themeManager.get();
 }
 
 function getThemeColors() {
-    return ThemeColors[getCurrentTheme()];
+    const styles = getComputedStyle(document.documentElement);
+    const colors = {};
+
+    Object.entries(ThemeColors).forEach(([key, property]) => {
+        colors[key] = new THREE.Color(styles.getPropertyValue(property).trim()).getHex();
+    });
+    Object.entries(ThemeValues).forEach(([key, property]) => {
+        colors[key] = parseFloat(styles.getPropertyValue(property));
+    });
+
+    return colors;
+}
+
+// ==========================================
+// Scene Base - render loop and renderer plumbing
+// ==========================================
+// Scenes don't own a WebGL context or a requestAnimationFrame loop. They
+// draw through sharedRenderer into a view canvas inside their container,
+// and sceneScheduler calls animate(time, delta) while they're on screen
+// (just once per change when reduced motion is on). The container may be
+// an element or an element id. destroy() releases everything a scene holds,
+// so containers can be mounted and unmounted with SceneRegistry.
+// Randomness comes from this.random (reset before every build) or another
+// randomStream(), never Math.random(), so a seed reproduces a scene.
+class BaseScene {
+    constructor(container, options) {
+        this.container = typeof container === 'string' ? document.getElementById(container) : container;
+        this.options = resolveSceneOptions({ ...BaseScene.schema, ...this.constructor.schema }, options);
+        this.seed = this.options.seed === null ? SceneRandom.seed : this.options.seed;
+        this.random = this.randomStream('build');
+        this.cleanups = [];
+        this.destroyed = false;
+    }
+
+    // Tunable options with their defaults; see resolveSceneOptions.
+    // Options shared by every scene live here and are merged in.
+    static get schema() {
+        return {
+            seed: { type: 'string', default: null }
+        };
+    }
+
+    randomStream(name) {
+        return SceneRandom.stream(this.seed, `${this.constructor.name}:${name}`);
+    }
+
+    // Reduced motion or frozen time: draw exact states, no easing
+    isStill() {
+        return sceneScheduler.isStill();
+    }
+
+    createView() {
+        this.view = sharedRenderer.createView(this.container);
+    }
+
+    renderFrame() {
+        this.updateTweens();
+        if (this.capture) {
+            sharedRenderer.renderToCanvas(this.capture.canvas, this.scene, this.camera, this.capture.background);
+        } else {
+            sharedRenderer.render(this.view, this.scene, this.camera);
+        }
+    }
+
+    // Point size scale for shader materials, matching PointsMaterial's size
+    // attenuation: half the height of whatever is being drawn into
+    pointScale() {
+        return this.capture
+            ? this.capture.canvas.height / 2
+            : this.container.clientHeight * sharedRenderer.pixelRatio / 2;
+    }
+
+    // Palette changes blend in over a few frames instead of snapping.
+    // A new tween on the same target replaces the one in flight.
+    tweenTo(target, apply) {
+        if (!this.tweens) this.tweens = new Map();
+
+        if (this.isStill()) {
+            this.tweens.delete(target);
+            apply(1);
+            return;
+        }
+
+        this.tweens.set(target, { apply: apply, start: performance.now() });
+    }
+
+    tweenColor(color, hex) {
+        const from = color.clone();
+        const to = new THREE.Color(hex);
+        this.tweenTo(color, (t) => color.copy(from).lerp(to, t));
+    }
+
+    tweenOpacity(material, opacity) {
+        const from = material.opacity;
+        this.tweenTo(material, (t) => {
+            material.opacity = from + (opacity - from) * t;
+        });
+    }
+
+    tweenAttribute(attribute, values) {
+        const from = attribute.array.slice();
+        this.tweenTo(attribute, (t) => {
+            for (let i = 0; i < values.length; i++) {
+                attribute.array[i] = from[i] + (values[i] - from[i]) * t;
+            }
+            attribute.needsUpdate = true;
+        });
+    }
+
+    updateTweens() {
+        if (!this.tweens) return;
+
+        const now = performance.now();
+        this.tweens.forEach((tween, target) => {
+            const progress = Math.min((now - tween.start) / PaletteTweenDuration, 1);
+            tween.apply(progress * progress * (3 - 2 * progress));
+            if (progress === 1) this.tweens.delete(target);
+        });
+    }
+
+    finishTweens() {
+        if (!this.tweens) return;
+
+        this.tweens.forEach(tween => tween.apply(1));
+        this.tweens.clear();
+    }
+
+    // Add an event listener that destroy() removes again
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.cleanups.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    // Call back with true while `element` is hovered or holds focus
+    watchHover(element, callback) {
+        let hovered = false;
+        let focused = false;
+        const notify = () => callback(hovered || focused);
+
+        this.listen(element, 'pointerenter', () => {
+            hovered = true;
+            notify();
+        });
+        this.listen(element, 'pointerleave', () => {
+            hovered = false;
+            notify();
+        });
+        this.listen(element, 'focusin', () => {
+            focused = true;
+            notify();
+        });
+        this.listen(element, 'focusout', (e) => {
+            focused = element.contains(e.relatedTarget);
+            notify();
+        });
+    }
+
+    startRendering() {
+        sceneScheduler.register(this, this.container);
+        this.cleanups.push(
+            () => sceneScheduler.unregister(this),
+            sceneQuality.subscribe(() => this.rebuild()),
+            sharedRenderer.subscribe(() => this.rebuild()),
+            themeManager.subscribe(() => {
+                this.updateColors();
+                this.requestRender();
+            })
+        );
+    }
+
+    disposeScene() {
+        this.scene.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+        this.scene.clear();
+    }
+
+    // Throw away the scene graph and build it again at the current quality
+    // (also used after a lost WebGL context comes back)
+    rebuild() {
+        this.disposeScene();
+        this.random = this.randomStream('build');
+        this.build();
+        this.updateColors();
+        this.finishTweens();
+        this.requestRender();
+    }
+
+    pause() {
+        sceneScheduler.pause(this);
+    }
+
+    resume() {
+        sceneScheduler.resume(this);
+    }
+
+    isPaused() {
+        return sceneScheduler.isPaused(this);
+    }
+
+    // Redraw after a change that happens outside animate(), e.g. while motion is reduced
+    requestRender() {
+        sceneScheduler.invalidate(this);
+    }
+
+    // Still image as a PNG blob, drawn offscreen through the same animate()
+    // as the view, at the scene's current time. Defaults to twice the
+    // on-screen size; with only a width the height keeps the container's
+    // aspect ratio. A `seed` rebuilds the scene with that seed just for the
+    // capture.
+    capturePNG({ width, height, transparent = false, seed } = {}) {
+        const canvas = this.createCaptureCanvas(width, height);
+        const restoreSeed = this.useSeed(seed);
+
+        this.captureFrame(canvas, sceneScheduler.timeOf(this), 0, transparent ? null : this.backgroundColor());
+        sharedRenderer.trim();
+        restoreSeed();
+        this.requestRender();
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+        });
+    }
+
+    // Video as a WebM blob, recorded in real time at the on-screen size
+    // unless told otherwise; `seed` works as for capturePNG. The scene is
+    // paused on screen meanwhile and driven here frame by frame from its
+    // current time, so the clip is smooth even off-screen or with reduced
+    // motion on.
+    recordWebM({ seconds = 5, fps = 30, width, height, seed } = {}) {
+        const type = typeof MediaRecorder === 'undefined' ? null
+            : ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(candidate => MediaRecorder.isTypeSupported(candidate));
+        if (!type) {
+            return Promise.reject(new Error('WebM recording is not supported in this browser'));
+        }
+
+        const canvas = this.createCaptureCanvas(width || this.container.clientWidth, height);
+        const stream = canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const recorder = new MediaRecorder(stream, { mimeType: type });
+        const chunks = [];
+        const frames = Math.max(Math.round(seconds * fps), 1);
+        const start = sceneScheduler.timeOf(this);
+        const background = this.backgroundColor();
+        const wasPaused = this.isPaused();
+        const restoreSeed = this.useSeed(seed);
+
+        this.pause();
+
+        const finish = () => {
+            track.stop();
+            restoreSeed();
+            if (!wasPaused) this.resume();
+        };
+
+        return new Promise((resolve, reject) => {
+            recorder.addEventListener('dataavailable', (e) => {
+                if (e.data.size) chunks.push(e.data);
+            });
+            recorder.addEventListener('stop', () => {
+                finish();
+                resolve(new Blob(chunks, { type: 'video/webm' }));
+            });
+            recorder.addEventListener('error', (e) => {
+                finish();
+                reject(e.error);
+            });
+
+            const began = performance.now();
+            let frame = 0;
+            const next = () => {
+                if (frame >= frames || this.destroyed) {
+                    recorder.stop();
+                    return;
+                }
+
+                this.captureFrame(canvas, start + frame / fps, frame ? 1 / fps : 0, background);
+                track.requestFrame();
+                frame++;
+                setTimeout(next, Math.max(began + frame * 1000 / fps - performance.now(), 0));
+            };
+
+            recorder.start();
+            next();
+        });
+    }
+
+    createCaptureCanvas(width, height) {
+        const aspect = this.container.clientHeight / this.container.clientWidth || 1;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width || this.container.clientWidth * 2);
+        canvas.height = Math.round(height || canvas.width * aspect);
+        return canvas;
+    }
+
+    // Draw one frame at `time` into a capture canvas instead of the view
+    captureFrame(canvas, time, delta, background) {
+        this.capture = { canvas: canvas, background: background };
+        try {
+            this.animate(time, delta);
+        } finally {
+            this.capture = null;
+        }
+    }
+
+    // Returns a function that puts the original seed back
+    useSeed(seed) {
+        if (seed === undefined || seed === null || String(seed) === this.seed) return () => {};
+
+        const previous = this.seed;
+        this.seed = String(seed);
+        this.rebuild();
+
+        return () => {
+            this.seed = previous;
+            if (!this.destroyed) this.rebuild();
+        };
+    }
+
+    // The page color behind the container, so opaque captures match the theme
+    backgroundColor() {
+        for (let element = this.container; element; element = element.parentElement) {
+            const color = getComputedStyle(element).backgroundColor;
+            if (color && color !== 'transparent' && color !== 'rgba(0, 0, 0, 0)') return color;
+        }
+        return getComputedStyle(document.documentElement).getPropertyValue('--color-bg-primary').trim();
+    }
+
+    // Stop rendering, drop listeners and GPU resources, and remove the view canvas
+    destroy() {
+        if (this.destroyed) return;
+        this.destroyed = true;
+
+        this.cleanups.forEach(cleanup => cleanup());
+        this.cleanups = [];
+        if (this.tweens) this.tweens.clear();
+
+        this.disposeScene();
+        if (this.view) {
+            this.view.canvas.remove();
+            this.view = null;
+        }
+    }
 }
 
 // ==========================================
 // Hero Section - Quantum Particle System
 // ==========================================
-class QuantumHeroScene {
-    constructor(containerId) {
-        this.container = document.getElementById(containerId);
+// Particles orbit on the GPU: each one keeps its spherical coordinates as
+// attributes and the vertex shader works out where it is at `time`, so the
+// position buffer is uploaded once instead of every frame. Speeds are in
+// radians per frame at 60fps, as they were when this ran on the CPU.
+// Particles near the pointer's ray (world space) are pushed off it by
+// up to repelRadius, scaled by repelStrength.
+const HeroParticleVertexShader = `
+    attribute float radius;
+    attribute float theta;
+    attribute float phi;
+    attribute float speed;
+    attribute float phaseOffset;
+
+    uniform float time;
+    uniform float size;
+    uniform float scale;
+    uniform vec3 rayOrigin;
+    uniform vec3 rayDirection;
+    uniform float repelRadius;
+    uniform float repelStrength;
+
+    varying vec3 vColor;
+
+    void main() {
+        float angle = theta + speed * time * 60.0;
+        float r = radius + sin(time + phaseOffset) * 2.0;
+        vec3 orbit = vec3(
+            r * sin(phi) * cos(angle),
+            r * sin(phi) * sin(angle),
+            r * cos(phi)
+        );
+
+        vColor = color;
+
+        vec4 worldPosition = modelMatrix * vec4(orbit, 1.0);
+        vec3 toParticle = worldPosition.xyz - rayOrigin;
+        vec3 away = toParticle - rayDirection * dot(toParticle, rayDirection);
+        float distance = length(away);
+        if (distance > 0.0001) {
+            float push = (1.0 - smoothstep(0.0, repelRadius, distance)) * repelRadius * repelStrength;
+            worldPosition.xyz += away / distance * push;
+        }
+
+        vec4 mvPosition = viewMatrix * worldPosition;
+        gl_PointSize = size * (scale / -mvPosition.z);
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const HeroParticleFragmentShader = `
+    uniform float opacity;
+
+    varying vec3 vColor;
+
+    void main() {
+        gl_FragColor = vec4(vColor, opacity);
+    }
+`;
+
+class QuantumHeroScene extends BaseScene {
+    constructor(container, options) {
+        super(container, options);
         if (!this.container) return;
 
         this.scene = new THREE.Scene();
         this.camera = new THREE.PerspectiveCamera(75, this.container.offsetWidth / this.container.offsetHeight, 0.1, 1000);
-        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-        this.particles = [];
-        this.quantumOrbitals = [];
-        this.clock = new THREE.Clock();
         this.mouse = new THREE.Vector2();
 
+        // Camera orbit around the core, in radians; drag spins it with inertia
+        this.orbit = { azimuth: 0, polar: Math.PI / 2, distance: 30, velocity: new THREE.Vector2() };
+        // Small eased offset from mouse position or device tilt
+        this.nudge = new THREE.Vector2();
+        this.tilt = null;
+
+        // Repulsion follows the pointer and springs back when it goes idle
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.pointerSeen = -Infinity;
+        this.repel = { strength: 0, velocity: 0 };
+
+        this.pointers = new Map();
+        this.dragging = false;
+        this.pinchDistance = null;
+
         this.init();
     }
 
+    static get schema() {
+        return {
+            particleCount: { type: 'number', default: 500, min: 0, max: 50000 },
+            ringCount: { type: 'number', default: 3, min: 0, max: 6 },
+            lineCount: { type: 'number', default: 20, min: 0, max: 100 }
+        };
+    }
+
     init() {
-        // Setup renderer
-        this.renderer.setSize(this.container.offsetWidth, this.container.offsetHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        this.renderer.setClearColor(0x000000, 0); // Transparent background
-        this.container.appendChild(this.renderer.domElement);
+        this.createView();
 
         // Camera position
         this.camera.position.z = 30;
 
         // Create quantum elements
-        this.createQuantumCore();
-        this.createParticles();
-        this.createOrbitalRings();
-        this.createEntanglementLines();
+        this.build();
 
         // Event listeners
-        window.addEventListener('resize', () => this.onResize());
-        window.addEventListener('mousemove', (e) => this.onMouseMove(e));
-
-        // Listen for theme changes
-        this.setupThemeObserver();
+        this.listen(window, 'mousemove', (e) => this.onMouseMove(e));
+        this.initTouchSurface();
+        this.initDeviceOrientation();
 
-        // Start animation
-        this.animate();
+        // Start rendering (also follows theme and quality changes)
+        this.startRendering();
     }
 
-    setupThemeObserver() {
-        const observer = new MutationObserver((mutations) => {
-            mutations.forEach((mutation) => {
-                if (mutation.attributeName === 'data-theme') {
-                    this.updateColors();
-                }
-            });
+    // The canvas sits behind the hero content with pointer-events off, so
+    // input is read from the section around it. Touch devices keep vertical
+    // panning for page scroll (touch-action: pan-y); horizontal drags orbit
+    // and two fingers pinch-zoom.
+    initTouchSurface() {
+        this.surface = this.container.parentElement || this.container;
+        this.surface.classList.add('scene-touch-surface');
+        this.cleanups.push(() => this.surface.classList.remove('scene-touch-surface'));
+
+        this.listen(this.surface, 'pointerdown', (e) => this.onPointerDown(e));
+        this.listen(this.surface, 'pointermove', (e) => this.onPointerMove(e));
+        this.listen(this.surface, 'pointerup', (e) => this.onPointerUp(e));
+        this.listen(this.surface, 'pointercancel', (e) => this.onPointerUp(e));
+        this.listen(this.surface, 'pointerleave', (e) => {
+            if (e.pointerType === 'mouse') this.pointerSeen = -Infinity;
         });
-        observer.observe(document.documentElement, { attributes: true });
+    }
+
+    // Drags and pinches start on the background, not on text or controls
+    isBackground(target) {
+        return !target.closest('a, button, input, select, textarea, label, h1, h2, h3, p');
+    }
+
+    onPointerDown(event) {
+        if (sceneScheduler.isFrozen() || !this.isBackground(event.target)) return;
+        if (event.pointerType === 'mouse') {
+            if (event.button !== 0) return;
+            // Don't start a text selection
+            event.preventDefault();
+        }
+
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY, time: event.timeStamp });
+        this.surface.setPointerCapture(event.pointerId);
+        this.dragging = this.pointers.size === 1;
+        this.orbit.velocity.set(0, 0);
+
+        if (this.pointers.size === 2) {
+            this.pinchDistance = this.pinchSpan();
+        }
+        this.updatePointer(event);
+    }
+
+    onPointerMove(event) {
+        if (sceneScheduler.isFrozen()) return;
+        this.updatePointer(event);
+
+        const previous = this.pointers.get(event.pointerId);
+        if (!previous) return;
+
+        const current = { x: event.clientX, y: event.clientY, time: event.timeStamp };
+        this.pointers.set(event.pointerId, current);
+
+        if (this.pointers.size === 2 && this.pinchDistance) {
+            const span = this.pinchSpan();
+            this.orbit.distance = Math.min(Math.max(this.orbit.distance * this.pinchDistance / span, 18), 45);
+            this.pinchDistance = span;
+        } else if (this.dragging) {
+            // A full-width drag turns the camera about half a revolution
+            const radiansPerPixel = Math.PI / this.surface.clientWidth;
+            const dx = (current.x - previous.x) * radiansPerPixel;
+            const dy = event.pointerType === 'mouse' ? (current.y - previous.y) * radiansPerPixel : 0;
+            const dt = Math.max((current.time - previous.time) / 1000, 1 / 240);
+
+            this.orbit.azimuth -= dx;
+            this.orbit.polar = Math.min(Math.max(this.orbit.polar - dy, Math.PI * 0.3), Math.PI * 0.7);
+            this.orbit.velocity.set(-dx / dt, -dy / dt);
+            this.surface.classList.add('is-dragging');
+        }
+
+        this.requestRender();
+    }
+
+    onPointerUp(event) {
+        if (!this.pointers.delete(event.pointerId)) return;
+
+        if (this.pointers.size < 2) this.pinchDistance = null;
+        if (this.pointers.size === 0) {
+            this.dragging = false;
+            this.surface.classList.remove('is-dragging');
+            if (event.pointerType !== 'mouse') this.pointerSeen = -Infinity;
+        }
+        // No fling if the pointer rested before letting go, or under reduced motion
+        if (event.type === 'pointercancel' || event.timeStamp - this.lastDragMove > 100 || this.isStill()) {
+            this.orbit.velocity.set(0, 0);
+        }
+    }
+
+    pinchSpan() {
+        const [a, b] = [...this.pointers.values()];
+        return Math.max(Math.hypot(a.x - b.x, a.y - b.y), 1);
+    }
+
+    // Pointer in the container's normalized device coordinates, for the repel ray
+    updatePointer(event) {
+        const rect = this.container.getBoundingClientRect();
+        this.pointer.set(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.pointerSeen = performance.now();
+        this.lastDragMove = event.timeStamp;
+    }
+
+    // iOS asks for permission, which has to come from a tap; only a tap on
+    // the background asks, so links and buttons aren't covered by the
+    // dialog. Elsewhere the events simply arrive (or never do, on desktops)
+    initDeviceOrientation() {
+        if (typeof DeviceOrientationEvent === 'undefined') return;
+
+        const start = () => this.listen(window, 'deviceorientation', (e) => this.onDeviceOrientation(e));
+
+        if (typeof DeviceOrientationEvent.requestPermission !== 'function') {
+            start();
+            return;
+        }
+
+        const ask = (e) => {
+            if (!this.isBackground(e.target)) return;
+            this.surface.removeEventListener('click', ask);
+            DeviceOrientationEvent.requestPermission()
+                .then(state => {
+                    if (state === 'granted') start();
+                })
+                .catch(() => {});
+        };
+        this.listen(this.surface, 'click', ask);
+    }
+
+    onDeviceOrientation(event) {
+        if (event.beta === null || event.gamma === null || sceneScheduler.isFrozen()) return;
+
+        // Tilt is measured from however the device was held at first
+        if (!this.tilt) {
+            this.tilt = { beta: event.beta, gamma: event.gamma };
+        }
+        const clamp = (value) => Math.min(Math.max(value, -1), 1);
+        this.mouse.set(
+            clamp((event.gamma - this.tilt.gamma) / 30),
+            clamp((event.beta - this.tilt.beta) / 30)
+        );
+    }
+
+    build() {
+        this.particles = [];
+        this.quantumOrbitals = [];
+
+        this.createQuantumCore();
+        this.createParticles();
+        this.createOrbitalRings();
+        this.createEntanglementLines();
     }
 
     updateColors() {
@@ -113,61 +667,63 @@ class QuantumHeroScene {
         if (theme === 'light') {
             // Monochrome depth-based coloring for light theme
             if (this.core) {
-                this.core.material.color.setHex(colors.depth1); // Darkest for core
-                this.core.material.opacity = colors.wireframeOpacity;
+                this.tweenColor(this.core.material.color, colors.depth1); // Darkest for core
+                this.tweenOpacity(this.core.material, colors.wireframeOpacity);
             }
             if (this.innerCore) {
-                this.innerCore.material.color.setHex(colors.depth2); // Dark for inner
-                this.innerCore.material.opacity = colors.wireframeOpacity * 0.8;
+                this.tweenColor(this.innerCore.material.color, colors.depth2); // Dark for inner
+                this.tweenOpacity(this.innerCore.material, colors.wireframeOpacity * 0.8);
             }
             if (this.glowSphere) {
-                this.glowSphere.material.color.setHex(colors.depth3); // Medium for glow
-                this.glowSphere.material.opacity = colors.glowOpacity;
+                this.tweenColor(this.glowSphere.material.color, colors.depth3); // Medium for glow
+                this.tweenOpacity(this.glowSphere.material, colors.glowOpacity);
             }
             if (this.particleSystem) {
-                this.particleSystem.material.opacity = colors.particleOpacity;
+                this.tweenOpacity(this.particleSystem.material, colors.particleOpacity);
+                this.tweenAttribute(this.particleSystem.geometry.attributes.color, this.particleColors(colors));
             }
 
             // Gradient depth for orbital rings (darkest to lightest)
             this.quantumOrbitals.forEach((orbital, i) => {
                 const depthColors = [colors.depth2, colors.depth3, colors.depth4];
-                orbital.mesh.material.color.setHex(depthColors[i % 3]);
-                orbital.mesh.material.opacity = 0.5 - (i * 0.1); // Decreasing opacity for depth
+                this.tweenColor(orbital.mesh.material.color, depthColors[i % 3]);
+                this.tweenOpacity(orbital.mesh.material, Math.max(0.1, 0.5 - (i * 0.1))); // Decreasing opacity for depth
             });
 
             // Subtle entanglement lines
             this.entanglementLines.forEach((line, i) => {
-                line.mesh.material.color.setHex(colors.depth4); // Light blue for all lines
+                this.tweenColor(line.mesh.material.color, colors.depth4); // Light blue for all lines
                 line.mesh.material.opacity = colors.lineOpacity;
             });
         } else {
             // Original dark theme colors
             if (this.core) {
-                this.core.material.color.setHex(colors.primary);
-                this.core.material.opacity = 0.8;
+                this.tweenColor(this.core.material.color, colors.primary);
+                this.tweenOpacity(this.core.material, 0.8);
             }
             if (this.innerCore) {
-                this.innerCore.material.color.setHex(colors.secondary);
-                this.innerCore.material.opacity = 0.6;
+                this.tweenColor(this.innerCore.material.color, colors.secondary);
+                this.tweenOpacity(this.innerCore.material, 0.6);
             }
             if (this.glowSphere) {
-                this.glowSphere.material.color.setHex(colors.primary);
-                this.glowSphere.material.opacity = colors.glowOpacity;
+                this.tweenColor(this.glowSphere.material.color, colors.primary);
+                this.tweenOpacity(this.glowSphere.material, colors.glowOpacity);
             }
             if (this.particleSystem) {
-                this.particleSystem.material.opacity = colors.particleOpacity;
+                this.tweenOpacity(this.particleSystem.material, colors.particleOpacity);
+                this.tweenAttribute(this.particleSystem.geometry.attributes.color, this.particleColors(colors));
             }
 
             // Update orbital rings
             this.quantumOrbitals.forEach((orbital, i) => {
                 const ringColors = [colors.primary, colors.secondary, colors.highlight];
-                orbital.mesh.material.color.setHex(ringColors[i % 3]);
-                orbital.mesh.material.opacity = 0.4;
+                this.tweenColor(orbital.mesh.material.color, ringColors[i % 3]);
+                this.tweenOpacity(orbital.mesh.material, 0.4);
             });
 
             // Update entanglement lines
             this.entanglementLines.forEach(line => {
-                line.mesh.material.color.setHex(Math.random() > 0.5 ? colors.primary : colors.secondary);
+                this.tweenColor(line.mesh.material.color, line.alternate ? colors.secondary : colors.primary);
                 line.mesh.material.opacity = 0.2;
             });
         }
@@ -199,7 +755,7 @@ class QuantumHeroScene {
         this.scene.add(this.innerCore);
 
         // Glowing sphere
-        const glowGeometry = new THREE.SphereGeometry(0.5, 32, 32);
+        const glowGeometry = new THREE.SphereGeometry(0.5, sceneQuality.segments(32), sceneQuality.segments(32));
         const glowMaterial = new THREE.MeshBasicMaterial({
             color: colors.primary,
             transparent: true,
@@ -211,111 +767,92 @@ class QuantumHeroScene {
 
     createParticles() {
         const colors = getThemeColors();
-        const theme = getCurrentTheme();
-        const particleCount = 500;
-        const positions = new Float32Array(particleCount * 3);
-        const particleColors = new Float32Array(particleCount * 3);
-        const sizes = new Float32Array(particleCount);
-
-        if (theme === 'light') {
-            // Monochrome gradient particles for light theme
-            const colorDark = new THREE.Color(colors.depth2);   // Darker blue
-            const colorLight = new THREE.Color(colors.depth5);  // Lighter blue
-
-            for (let i = 0; i < particleCount; i++) {
-                // Spherical distribution
-                const radius = 8 + Math.random() * 20;
-                const theta = Math.random() * Math.PI * 2;
-                const phi = Math.acos(2 * Math.random() - 1);
-
-                positions[i * 3] = radius * Math.sin(phi) * Math.cos(theta);
-                positions[i * 3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
-                positions[i * 3 + 2] = radius * Math.cos(phi);
-
-                // Depth-based color - closer particles are darker, farther are lighter
-                const depthRatio = (radius - 8) / 20; // 0 to 1
-                const color = colorDark.clone().lerp(colorLight, depthRatio);
-                particleColors[i * 3] = color.r;
-                particleColors[i * 3 + 1] = color.g;
-                particleColors[i * 3 + 2] = color.b;
-
-                // Varying sizes for depth perception
-                sizes[i] = Math.random() * 2 + 0.5;
-
-                // Store particle data for animation
-                this.particles.push({
-                    index: i,
-                    radius: radius,
-                    theta: theta,
-                    phi: phi,
-                    speed: 0.001 + Math.random() * 0.002,
-                    phaseOffset: Math.random() * Math.PI * 2
-                });
-            }
-        } else {
-            // Original dark theme particles
-            const colorPrimary = new THREE.Color(colors.primary);
-            const colorSecondary = new THREE.Color(colors.secondary);
-
-            for (let i = 0; i < particleCount; i++) {
-                // Spherical distribution
-                const radius = 8 + Math.random() * 20;
-                const theta = Math.random() * Math.PI * 2;
-                const phi = Math.acos(2 * Math.random() - 1);
-
-                positions[i * 3] = radius * Math.sin(phi) * Math.cos(theta);
-                positions[i * 3 + 1] = radius * Math.sin(phi) * Math.sin(theta);
-                positions[i * 3 + 2] = radius * Math.cos(phi);
-
-                // Color interpolation
-                const mixRatio = Math.random();
-                const color = colorPrimary.clone().lerp(colorSecondary, mixRatio);
-                particleColors[i * 3] = color.r;
-                particleColors[i * 3 + 1] = color.g;
-                particleColors[i * 3 + 2] = color.b;
-
-                sizes[i] = Math.random() * 2 + 0.5;
-
-                // Store particle data for animation
-                this.particles.push({
-                    index: i,
-                    radius: radius,
-                    theta: theta,
-                    phi: phi,
-                    speed: 0.001 + Math.random() * 0.002,
-                    phaseOffset: Math.random() * Math.PI * 2
-                });
-            }
+        const particleCount = sceneQuality.count(this.options.particleCount);
+        const radii = new Float32Array(particleCount);
+        const thetas = new Float32Array(particleCount);
+        const phis = new Float32Array(particleCount);
+        const speeds = new Float32Array(particleCount);
+        const phaseOffsets = new Float32Array(particleCount);
+
+        for (let i = 0; i < particleCount; i++) {
+            // Spherical distribution
+            radii[i] = 8 + this.random() * 20;
+            thetas[i] = this.random() * Math.PI * 2;
+            phis[i] = Math.acos(2 * this.random() - 1);
+            speeds[i] = 0.001 + this.random() * 0.002;
+            phaseOffsets[i] = this.random() * Math.PI * 2;
+
+            // Store particle data for coloring
+            this.particles.push({
+                depth: (radii[i] - 8) / 20, // 0 (closest) to 1
+                mix: this.random()
+            });
         }
 
         const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.BufferAttribute(particleColors, 3));
-        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
-
-        const material = new THREE.PointsMaterial({
-            size: 0.15,
+        // Positions are computed in the shader; this only gives three.js a vertex count
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(particleCount * 3), 3));
+        geometry.setAttribute('radius', new THREE.BufferAttribute(radii, 1));
+        geometry.setAttribute('theta', new THREE.BufferAttribute(thetas, 1));
+        geometry.setAttribute('phi', new THREE.BufferAttribute(phis, 1));
+        geometry.setAttribute('speed', new THREE.BufferAttribute(speeds, 1));
+        geometry.setAttribute('phaseOffset', new THREE.BufferAttribute(phaseOffsets, 1));
+        geometry.setAttribute('color', new THREE.BufferAttribute(this.particleColors(colors), 3));
+        // Particles orbit out to 30 units, well past the zeroed positions
+        geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(), 30);
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                time: { value: 0 },
+                size: { value: 0.15 },
+                scale: { value: 1 },
+                opacity: { value: colors.particleOpacity },
+                rayOrigin: { value: new THREE.Vector3() },
+                rayDirection: { value: new THREE.Vector3(0, 0, -1) },
+                repelRadius: { value: 4 },
+                repelStrength: { value: 0 }
+            },
+            vertexShader: HeroParticleVertexShader,
+            fragmentShader: HeroParticleFragmentShader,
             vertexColors: true,
             transparent: true,
-            opacity: colors.particleOpacity,
             blending: THREE.AdditiveBlending,
             depthWrite: false
         });
+        // Tweened like the other materials, then copied into the uniform each frame
+        material.opacity = colors.particleOpacity;
 
         this.particleSystem = new THREE.Points(geometry, material);
         this.scene.add(this.particleSystem);
     }
 
+    // Light theme: monochrome gradient by depth, closer particles darker.
+    // Dark theme: random mix between the primary and secondary colors.
+    particleColors(colors) {
+        const isLight = getCurrentTheme() === 'light';
+        const from = new THREE.Color(isLight ? colors.depth2 : colors.primary);
+        const to = new THREE.Color(isLight ? colors.depth5 : colors.secondary);
+        const values = new Float32Array(this.particles.length * 3);
+        const color = new THREE.Color();
+
+        this.particles.forEach((particle, i) => {
+            color.copy(from).lerp(to, isLight ? particle.depth : particle.mix);
+            color.toArray(values, i * 3);
+        });
+
+        return values;
+    }
+
     createOrbitalRings() {
         const colors = getThemeColors();
-        const ringCount = 3;
+        const ringCount = Math.round(this.options.ringCount);
         const ringColors = [colors.primary, colors.secondary, colors.highlight];
 
         for (let i = 0; i < ringCount; i++) {
             const radius = 5 + i * 3;
-            const geometry = new THREE.TorusGeometry(radius, 0.02, 16, 100);
+            const geometry = new THREE.TorusGeometry(radius, 0.02, sceneQuality.segments(16), sceneQuality.segments(100));
             const material = new THREE.MeshBasicMaterial({
-                color: ringColors[i],
+                color: ringColors[i % 3],
                 transparent: true,
                 opacity: 0.4
             });
@@ -326,6 +863,8 @@ class QuantumHeroScene {
 
             this.quantumOrbitals.push({
                 mesh: ring,
+                baseRotation: ring.rotation.clone(),
+                // Radians per frame at 60fps
                 rotationSpeed: {
                     x: 0.001 * (i + 1),
                     y: 0.002 * (ringCount - i),
@@ -340,13 +879,13 @@ class QuantumHeroScene {
     createEntanglementLines() {
         const colors = getThemeColors();
         // Create lines representing quantum entanglement
-        const lineCount = 20;
+        const lineCount = sceneQuality.count(this.options.lineCount);
         this.entanglementLines = [];
 
         for (let i = 0; i < lineCount; i++) {
             const points = [];
-            const startAngle = Math.random() * Math.PI * 2;
-            const radius = 4 + Math.random() * 8;
+            const startAngle = this.random() * Math.PI * 2;
+            const radius = 4 + this.random() * 8;
 
             for (let j = 0; j <= 50; j++) {
                 const t = j / 50;
@@ -354,14 +893,15 @@ class QuantumHeroScene {
                 const r = radius * (1 + 0.3 * Math.sin(t * Math.PI * 4));
                 points.push(new THREE.Vector3(
                     r * Math.cos(angle),
-                    (Math.random() - 0.5) * 10 * Math.sin(t * Math.PI),
+                    (this.random() - 0.5) * 10 * Math.sin(t * Math.PI),
                     r * Math.sin(angle)
                 ));
             }
 
+            const alternate = this.random() > 0.5;
             const geometry = new THREE.BufferGeometry().setFromPoints(points);
             const material = new THREE.LineBasicMaterial({
-                color: Math.random() > 0.5 ? colors.primary : colors.secondary,
+                color: alternate ? colors.secondary : colors.primary,
                 transparent: true,
                 opacity: 0.2
             });
@@ -369,7 +909,8 @@ class QuantumHeroScene {
 
             this.entanglementLines.push({
                 mesh: line,
-                phase: Math.random() * Math.PI * 2
+                alternate: alternate,
+                phase: this.random() * Math.PI * 2
             });
 
             this.scene.add(line);
@@ -377,23 +918,55 @@ class QuantumHeroScene {
     }
 
     onMouseMove(event) {
+        // Frozen frames must not depend on where the pointer happens to be
+        if (sceneScheduler.isFrozen()) return;
+
         this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
         this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
     }
 
-    onResize() {
-        if (!this.container) return;
+    // Camera orbit with inertia, plus the mouse/tilt nudge
+    updateCamera(delta) {
+        if (!this.dragging && this.orbit.velocity.lengthSq() > 0) {
+            this.orbit.azimuth += this.orbit.velocity.x * delta;
+            this.orbit.polar = Math.min(Math.max(this.orbit.polar + this.orbit.velocity.y * delta, Math.PI * 0.3), Math.PI * 0.7);
+            this.orbit.velocity.multiplyScalar(Math.exp(-delta * 3));
+            if (this.orbit.velocity.lengthSq() < 1e-6) this.orbit.velocity.set(0, 0);
+        }
+
+        // Roughly the old follow-the-mouse offset of 5 by 3 units at distance 30
+        const easing = this.isStill() ? 1 : 1 - Math.exp(-delta * 1.2);
+        this.nudge.x += (this.mouse.x * 0.17 - this.nudge.x) * easing;
+        this.nudge.y += (this.mouse.y * 0.1 - this.nudge.y) * easing;
 
-        this.camera.aspect = this.container.offsetWidth / this.container.offsetHeight;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(this.container.offsetWidth, this.container.offsetHeight);
+        const azimuth = this.orbit.azimuth + this.nudge.x;
+        const polar = this.orbit.polar - this.nudge.y;
+        this.camera.position.setFromSphericalCoords(this.orbit.distance, polar, azimuth);
+        this.camera.lookAt(this.scene.position);
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    // Springs the repel strength towards 1 while the pointer is active and
+    // back to 0 after, slightly underdamped so the particles bounce back
+    updateRepel(delta) {
+        const uniforms = this.particleSystem.material.uniforms;
+
+        if (this.isStill()) {
+            this.repel.strength = 0;
+            this.repel.velocity = 0;
+        } else {
+            const target = performance.now() - this.pointerSeen < 1200 ? 1 : 0;
+            this.repel.velocity += (target - this.repel.strength) * 60 * delta;
+            this.repel.velocity *= Math.exp(-delta * 9);
+            this.repel.strength += this.repel.velocity * delta;
+        }
 
-        const time = this.clock.getElapsedTime();
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        uniforms.rayOrigin.value.copy(this.raycaster.ray.origin);
+        uniforms.rayDirection.value.copy(this.raycaster.ray.direction);
+        uniforms.repelStrength.value = this.repel.strength;
+    }
 
+    animate(time, delta) {
         // Rotate core
         if (this.core) {
             this.core.rotation.x = time * 0.2;
@@ -411,28 +984,21 @@ class QuantumHeroScene {
             this.glowSphere.scale.set(scale, scale, scale);
         }
 
-        // Animate particles
+        // Animate particles (orbits run in the vertex shader)
         if (this.particleSystem) {
-            const positions = this.particleSystem.geometry.attributes.position.array;
-
-            this.particles.forEach(particle => {
-                particle.theta += particle.speed;
-
-                const r = particle.radius + Math.sin(time + particle.phaseOffset) * 2;
-                positions[particle.index * 3] = r * Math.sin(particle.phi) * Math.cos(particle.theta);
-                positions[particle.index * 3 + 1] = r * Math.sin(particle.phi) * Math.sin(particle.theta);
-                positions[particle.index * 3 + 2] = r * Math.cos(particle.phi);
-            });
+            const uniforms = this.particleSystem.material.uniforms;
+            uniforms.time.value = time;
+            uniforms.opacity.value = this.particleSystem.material.opacity;
+            uniforms.scale.value = this.pointScale();
 
-            this.particleSystem.geometry.attributes.position.needsUpdate = true;
             this.particleSystem.rotation.y = time * 0.05;
         }
 
         // Rotate orbital rings
         this.quantumOrbitals.forEach(orbital => {
-            orbital.mesh.rotation.x += orbital.rotationSpeed.x;
-            orbital.mesh.rotation.y += orbital.rotationSpeed.y;
-            orbital.mesh.rotation.z += orbital.rotationSpeed.z;
+            orbital.mesh.rotation.x = orbital.baseRotation.x + orbital.rotationSpeed.x * time * 60;
+            orbital.mesh.rotation.y = orbital.baseRotation.y + orbital.rotationSpeed.y * time * 60;
+            orbital.mesh.rotation.z = orbital.baseRotation.z + orbital.rotationSpeed.z * time * 60;
         });
 
         // Animate entanglement lines
@@ -441,95 +1007,111 @@ class QuantumHeroScene {
             line.mesh.material.opacity = 0.1 + 0.1 * Math.sin(time * 2 + line.phase);
         });
 
-        // Camera follows mouse slightly
-        this.camera.position.x += (this.mouse.x * 5 - this.camera.position.x) * 0.02;
-        this.camera.position.y += (this.mouse.y * 3 - this.camera.position.y) * 0.02;
-        this.camera.lookAt(this.scene.position);
+        // Camera orbit, drag inertia and the mouse/tilt nudge
+        this.updateCamera(delta);
+        this.camera.updateMatrixWorld();
+
+        // Pointer repulsion, cast from the camera as it is this frame
+        if (this.particleSystem) {
+            this.updateRepel(delta);
+        }
 
-        this.renderer.render(this.scene, this.camera);
+        this.renderFrame();
     }
 }
 
 // ==========================================
 // Technology Section - Quantum Processor
 // ==========================================
-class QuantumProcessorScene {
-    constructor(containerId) {
-        this.container = document.getElementById(containerId);
+// Each sphere is a qubit in a simulated register (see js/quantum-sim.js).
+// Clicking one opens a gate menu (from the keyboard: focus the canvas, press
+// Enter or Space, and step between qubits with the menu's arrows); its color
+// follows the probability of
+// reading 1, its ring spins while it's in superposition and lights up once
+// it has been measured, and links between entangled neighbours brighten.
+class QuantumProcessorScene extends BaseScene {
+    constructor(container, options) {
+        super(container, options);
         if (!this.container) return;
 
         this.scene = new THREE.Scene();
         this.camera = new THREE.PerspectiveCamera(60, this.container.offsetWidth / this.container.offsetHeight, 0.1, 1000);
-        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-        this.qubits = [];
-        this.clock = new THREE.Clock();
+
+        // Kept outside build() so quality changes don't reset the register
+        this.register = new QuantumRegister(Math.round(this.options.gridSize) ** 2);
+        this.measureRandom = this.randomStream('measure');
+        this.selected = -1;
+        // Qubit the keyboard opens the menu on; follows the last selection
+        this.keyboardQubit = 0;
+        // Seconds the camera orbit has been held while a qubit was selected
+        this.orbitHold = 0;
 
         this.init();
     }
 
+    static get schema() {
+        return {
+            gridSize: { type: 'number', default: 5, min: 1, max: 9 },
+            spacing: { type: 'number', default: 3, min: 1, max: 6 },
+            orbitSpeed: { type: 'number', default: 0.2, min: 0, max: 2 }
+        };
+    }
+
     init() {
-        this.renderer.setSize(this.container.offsetWidth, this.container.offsetHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        this.renderer.setClearColor(0x000000, 0);
-        this.container.appendChild(this.renderer.domElement);
+        this.createView();
 
         this.camera.position.set(0, 15, 25);
         this.camera.lookAt(0, 0, 0);
 
-        this.createQuantumGrid();
-        this.createQubits();
-        this.createConnections();
+        this.build();
+
+        // Colors follow the register state from the first frame
+        this.updateColors();
+        this.finishTweens();
 
-        window.addEventListener('resize', () => this.onResize());
-        this.setupThemeObserver();
-        this.animate();
+        this.initInteraction();
+
+        this.startRendering();
     }
 
-    setupThemeObserver() {
-        const observer = new MutationObserver((mutations) => {
-            mutations.forEach((mutation) => {
-                if (mutation.attributeName === 'data-theme') {
-                    this.updateColors();
-                }
-            });
-        });
-        observer.observe(document.documentElement, { attributes: true });
+    build() {
+        this.qubits = [];
+        this.edges = [];
+
+        this.createQuantumGrid();
+        this.createQubits();
+        this.createConnections();
     }
 
     updateColors() {
         const colors = getThemeColors();
         const theme = getCurrentTheme();
 
-        // Update grid
+        // Update grid - the line colors live in the geometry, as GridHelper builds them
         if (this.gridHelper) {
-            if (theme === 'light') {
-                this.gridHelper.material.color.setHex(colors.depth4); // Light blue for grid
-                this.gridHelper.material.opacity = 0.25;
-            } else {
-                this.gridHelper.material.color.setHex(colors.primary);
-                this.gridHelper.material.opacity = 0.3;
-            }
+            this.tweenAttribute(this.gridHelper.geometry.attributes.color, this.gridColors(colors));
+            this.tweenOpacity(this.gridHelper.material, theme === 'light' ? 0.25 : 0.3);
         }
 
-        // Update qubits with monochrome depth
-        if (theme === 'light') {
-            this.qubits.forEach((qubit, i) => {
-                // Alternate between depth levels for variety
-                const depthLevel = [colors.depth2, colors.depth3, colors.depth4][i % 3];
-                qubit.mesh.material.color.setHex(depthLevel);
-                qubit.mesh.material.opacity = colors.solidOpacity;
-                qubit.ring.material.color.setHex(depthLevel);
-                qubit.ring.material.opacity = 0.5;
-            });
-        } else {
-            this.qubits.forEach(qubit => {
-                const qubitColor = Math.random() > 0.5 ? colors.primary : colors.secondary;
-                qubit.mesh.material.color.setHex(qubitColor);
-                qubit.mesh.material.opacity = 0.9;
-                qubit.ring.material.color.setHex(colors.primary);
-                qubit.ring.material.opacity = 0.5;
-            });
-        }
+        // Qubit color runs from |0> to |1> along the depth scale: deep to pale
+        // in the dark theme, the other way round in the light one
+        const zero = new THREE.Color(theme === 'light' ? colors.depth5 : colors.depth1);
+        const one = new THREE.Color(theme === 'light' ? colors.depth1 : colors.depth5);
+        const opacity = theme === 'light' ? colors.solidOpacity : 0.9;
+
+        this.qubits.forEach((qubit, i) => {
+            const measured = this.register.measured[i] !== null;
+            this.tweenColor(qubit.mesh.material.color, zero.clone().lerp(one, this.register.probability(i)).getHex());
+            this.tweenOpacity(qubit.mesh.material, opacity);
+            this.tweenColor(qubit.ring.material.color, measured ? colors.highlight : colors.primary);
+            this.tweenOpacity(qubit.ring.material, measured ? 0.9 : 0.5);
+        });
+
+        this.edges.forEach(edge => {
+            const entangled = this.register.groupOf[edge.a] === this.register.groupOf[edge.b];
+            this.tweenColor(edge.mesh.material.color, entangled ? colors.highlight : colors.primary);
+            this.tweenOpacity(edge.mesh.material, entangled ? 0.8 : 0.3);
+        });
     }
 
     createQuantumGrid() {
@@ -537,33 +1119,55 @@ class QuantumProcessorScene {
         const theme = getCurrentTheme();
         // Grid lines
         const gridSize = 20;
-        const divisions = 20;
-        const gridColor = theme === 'light' ? 0x0284C7 : colors.primary;
-        const bgColor = theme === 'light' ? 0xe5e7eb : 0x1a1a25;
-        this.gridHelper = new THREE.GridHelper(gridSize, divisions, gridColor, bgColor);
+        this.gridDivisions = 20;
+        this.gridHelper = new THREE.GridHelper(gridSize, this.gridDivisions, colors.grid, colors.gridLine);
         this.gridHelper.material.opacity = theme === 'light' ? 0.2 : 0.3;
         this.gridHelper.material.transparent = true;
         this.scene.add(this.gridHelper);
     }
 
+    // Per-vertex grid colors laid out the way GridHelper does: the center
+    // lines take the accent color, every other line the muted one
+    gridColors(colors) {
+        const center = this.gridDivisions / 2;
+        const accent = new THREE.Color(colors.grid);
+        const muted = new THREE.Color(colors.gridLine);
+        const values = new Float32Array((this.gridDivisions + 1) * 4 * 3);
+
+        for (let i = 0; i <= this.gridDivisions; i++) {
+            const color = i === center ? accent : muted;
+            for (let v = 0; v < 4; v++) {
+                color.toArray(values, (i * 4 + v) * 3);
+            }
+        }
+
+        return values;
+    }
+
     createQubits() {
         const colors = getThemeColors();
-        const spacing = 3;
+        const gridSize = Math.round(this.options.gridSize);
+        const spacing = this.options.spacing;
+        const half = (gridSize - 1) / 2;
+
+        for (let col = 0; col < gridSize; col++) {
+            for (let row = 0; row < gridSize; row++) {
+                const x = col - half;
+                const z = row - half;
 
-        for (let x = -2; x <= 2; x++) {
-            for (let z = -2; z <= 2; z++) {
                 // Qubit sphere
-                const geometry = new THREE.SphereGeometry(0.3, 16, 16);
+                const geometry = new THREE.SphereGeometry(0.3, sceneQuality.segments(16), sceneQuality.segments(16));
                 const material = new THREE.MeshBasicMaterial({
-                    color: Math.random() > 0.5 ? colors.primary : colors.secondary,
+                    color: colors.primary,
                     transparent: true,
                     opacity: 0.9
                 });
                 const qubit = new THREE.Mesh(geometry, material);
                 qubit.position.set(x * spacing, 0, z * spacing);
+                qubit.userData.index = this.qubits.length;
 
                 // Ring around qubit
-                const ringGeometry = new THREE.TorusGeometry(0.5, 0.02, 8, 32);
+                const ringGeometry = new THREE.TorusGeometry(0.5, 0.02, sceneQuality.segments(8), sceneQuality.segments(32));
                 const ringMaterial = new THREE.MeshBasicMaterial({
                     color: colors.primary,
                     transparent: true,
@@ -571,14 +1175,15 @@ class QuantumProcessorScene {
                 });
                 const ring = new THREE.Mesh(ringGeometry, ringMaterial);
                 ring.rotation.x = Math.PI / 2;
+                ring.userData.index = this.qubits.length;
                 qubit.add(ring);
 
                 this.qubits.push({
                     mesh: qubit,
                     ring: ring,
                     baseY: 0,
-                    phase: Math.random() * Math.PI * 2,
-                    frequency: 1 + Math.random()
+                    phase: this.random() * Math.PI * 2,
+                    frequency: 1 + this.random()
                 });
 
                 this.scene.add(qubit);
@@ -598,13 +1203,16 @@ class QuantumProcessorScene {
         this.qubits.forEach((qubit, i) => {
             this.qubits.forEach((otherQubit, j) => {
                 if (i < j) {
+                    // Neighbours along the grid, not diagonals
                     const dist = qubit.mesh.position.distanceTo(otherQubit.mesh.position);
-                    if (dist < 4) {
+                    if (dist < this.options.spacing * 1.3) {
                         const geometry = new THREE.BufferGeometry().setFromPoints([
                             qubit.mesh.position,
                             otherQubit.mesh.position
                         ]);
                         const line = new THREE.Line(geometry, lineMaterial.clone());
+                        // CNOT is offered along these edges
+                        this.edges.push({ a: i, b: j, mesh: line });
                         this.scene.add(line);
                     }
                 }
@@ -612,126 +1220,310 @@ class QuantumProcessorScene {
         });
     }
 
-    onResize() {
-        if (!this.container) return;
-        this.camera.aspect = this.container.offsetWidth / this.container.offsetHeight;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(this.container.offsetWidth, this.container.offsetHeight);
+    neighbours(index) {
+        return this.edges
+            .filter(edge => edge.a === index || edge.b === index)
+            .map(edge => (edge.a === index ? edge.b : edge.a));
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    initInteraction() {
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+
+        this.menu = document.createElement('div');
+        this.menu.className = 'qubit-menu';
+        this.menu.setAttribute('role', 'group');
+        this.menu.hidden = true;
+        this.container.appendChild(this.menu);
+        this.cleanups.push(() => this.menu.remove());
+
+        this.listen(this.view.canvas, 'click', (e) => {
+            const index = this.pickQubit(e);
+            if (index === -1 || index === this.selected) {
+                this.closeGateMenu();
+            } else {
+                this.openGateMenu(index);
+            }
+        });
+        const canvas = this.view.canvas;
+        canvas.tabIndex = 0;
+        canvas.setAttribute('role', 'button');
+        canvas.setAttribute('aria-haspopup', 'true');
+        canvas.setAttribute('aria-label', 'Qubit array. Press Enter to open the gate menu');
+        this.listen(canvas, 'keydown', (e) => {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            e.preventDefault();
+            if (this.selected === -1) {
+                this.openGateMenu(this.keyboardQubit);
+            } else {
+                this.menu.querySelector('button').focus();
+            }
+        });
+        this.listen(this.view.canvas, 'pointermove', (e) => {
+            this.view.canvas.style.cursor = this.pickQubit(e) === -1 ? '' : 'pointer';
+        });
+        this.listen(this.menu, 'click', (e) => {
+            const button = e.target.closest('button');
+            if (button) this.runMenuAction(button.dataset.action, Number(button.dataset.target));
+        });
+        this.listen(document, 'keydown', (e) => {
+            if (e.key === 'Escape' && this.selected !== -1) this.closeGateMenu();
+        });
+    }
 
-        const time = this.clock.getElapsedTime();
+    // Qubit index under the pointer, or -1
+    pickQubit(event) {
+        const rect = this.view.canvas.getBoundingClientRect();
+        this.pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        this.raycaster.setFromCamera(this.pointer, this.camera);
 
-        // Animate qubits
-        this.qubits.forEach(qubit => {
-            qubit.mesh.position.y = qubit.baseY + Math.sin(time * qubit.frequency + qubit.phase) * 0.5;
-            qubit.ring.rotation.z = time * 2;
+        const hits = this.raycaster.intersectObjects(this.qubits.map(qubit => qubit.mesh), true);
+        return hits.length ? hits[0].object.userData.index : -1;
+    }
 
-            // Pulse effect
-            const scale = 1 + 0.1 * Math.sin(time * 3 + qubit.phase);
-            qubit.mesh.scale.set(scale, scale, scale);
-        });
+    openGateMenu(index) {
+        this.selected = index;
+        this.keyboardQubit = index;
+
+        const probability = this.register.probability(index);
+        const measured = this.register.measured[index];
+        let status = measured === null
+            ? `P(|1⟩) = ${Math.round(probability * 100)}%`
+            : `Measured ${measured}`;
+        if (this.register.isEntangled(index)) status += ' · entangled';
+
+        const cnotButtons = this.neighbours(index).map(target => {
+            const blocked = !this.register.canEntangle(index, target);
+            return `<button type="button" data-action="cnot" data-target="${target}"${blocked ? ' disabled title="Too much entanglement to simulate; measure a qubit first"' : ''}>q${target}</button>`;
+        }).join('');
+
+        this.menu.setAttribute('aria-label', `Gates for qubit q${index}`);
+        this.menu.innerHTML = `
+            <div class="qubit-menu-header">
+                <button type="button" data-action="previous" aria-label="Previous qubit">&lsaquo;</button>
+                <strong>q${index}</strong>
+                <span>${status}</span>
+                <button type="button" data-action="next" aria-label="Next qubit">&rsaquo;</button>
+            </div>
+            <div class="qubit-menu-row">
+                <button type="button" data-action="x" aria-label="Pauli-X (bit flip)">X</button>
+                <button type="button" data-action="h" aria-label="Hadamard">H</button>
+                <button type="button" data-action="z" aria-label="Pauli-Z (phase flip)">Z</button>
+                <button type="button" data-action="measure">Measure</button>
+            </div>
+            <div class="qubit-menu-row">
+                <span class="qubit-menu-label">CNOT &rarr;</span>
+                ${cnotButtons}
+            </div>
+            <div class="qubit-menu-row">
+                <button type="button" data-action="reset">Reset all</button>
+                <button type="button" data-action="close" aria-label="Close gate menu">&times;</button>
+            </div>
+        `;
+
+        // Anchor the menu under the qubit
+        const point = this.qubits[index].mesh.getWorldPosition(new THREE.Vector3()).project(this.camera);
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        this.menu.style.left = `${Math.min(Math.max((point.x + 1) / 2 * width, 100), width - 100)}px`;
+        this.menu.style.top = `${Math.min((1 - point.y) / 2 * height, height - 120)}px`;
+
+        const wasHidden = this.menu.hidden;
+        this.menu.hidden = false;
+        if (wasHidden) this.menu.querySelector('button').focus();
+
+        this.updateColors();
+        this.requestRender();
+    }
 
-        // Rotate camera around scene
-        this.camera.position.x = Math.sin(time * 0.2) * 25;
-        this.camera.position.z = Math.cos(time * 0.2) * 25;
-        this.camera.lookAt(0, 0, 0);
+    closeGateMenu() {
+        if (this.selected === -1) return;
 
-        this.renderer.render(this.scene, this.camera);
+        // Focus goes back to the canvas rather than being lost with the menu
+        const hadFocus = this.menu.contains(document.activeElement);
+        this.selected = -1;
+        this.menu.hidden = true;
+        if (hadFocus) this.view.canvas.focus();
+        this.requestRender();
     }
-}
+
+    runMenuAction(action, target) {
+        let index = this.selected;
+        if (index === -1) return;
+
+        switch (action) {
+            case 'previous':
+            case 'next':
+                index = (index + (action === 'next' ? 1 : -1) + this.qubits.length) % this.qubits.length;
+                break;
+            case 'x':
+                this.register.x(index);
+                break;
+            case 'h':
+                this.register.h(index);
+                break;
+            case 'z':
+                this.register.z(index);
+                break;
+            case 'cnot':
+                this.register.cnot(index, target);
+                break;
+            case 'measure':
+                this.register.measure(index, this.measureRandom);
+                break;
+            case 'reset':
+                this.register.reset();
+                break;
+            case 'close':
+                this.closeGateMenu();
+                return;
+        }
+
+        // Re-render the menu so the status and CNOT availability stay current,
+        // keeping keyboard focus on the button that was used
+        this.openGateMenu(index);
+        const selector = action === 'cnot' ? `[data-action="cnot"][data-target="${target}"]` : `[data-action="${action}"]`;
+        const button = this.menu.querySelector(selector);
+        if (button && !button.disabled) button.focus();
+    }
+
+    animate(time, delta) {
+        // Animate qubits
+        this.qubits.forEach((qubit, i) => {
+            qubit.mesh.position.y = qubit.baseY + Math.sin(time * qubit.frequency + qubit.phase) * 0.5;
+
+            // Rings spin while the qubit is in superposition
+            const probability = this.register.probability(i);
+            if (probability > 0.001 && probability < 0.999) {
+                qubit.ring.rotation.z = time * 2;
+            }
+
+            // Pulse effect, larger for the selected qubit
+            const scale = (i === this.selected ? 1.5 : 1) + 0.1 * Math.sin(time * 3 + qubit.phase);
+            qubit.mesh.scale.set(scale, scale, scale);
+        });
+
+        // Rotate camera around scene, holding still while a qubit is selected
+        if (this.selected !== -1) {
+            this.orbitHold += delta;
+        }
+        const orbitAngle = (time - this.orbitHold) * this.options.orbitSpeed;
+        this.camera.position.x = Math.sin(orbitAngle) * 25;
+        this.camera.position.z = Math.cos(orbitAngle) * 25;
+        this.camera.lookAt(0, 0, 0);
+
+        this.renderFrame();
+    }
+}
 
 // ==========================================
 // About Section - AI Neural Network
 // ==========================================
-class NeuralNetworkScene {
-    constructor(containerId) {
-        this.container = document.getElementById(containerId);
+// The drawn graph is a real MultilayerPerceptron (js/neural-net.js): every
+// link is a weight, drawn thicker for larger magnitudes and colored by
+// sign. Inputs come from the pointer position over the section, or cycle
+// through NeuralSamplePoints while the pointer is elsewhere. Each forward
+// pass travels through the network as pulses, one layer at a time.
+const NeuralSamplePoints = [
+    [-0.8, 0.6],
+    [0.7, 0.7],
+    [0.1, -0.9],
+    [-0.6, -0.5],
+    [0.9, -0.2],
+    [0, 0]
+];
+
+// Seconds for a pulse to cross one layer, and the rest between passes
+const NeuralLayerDelay = 0.5;
+const NeuralWaveRest = 0.6;
+
+class NeuralNetworkScene extends BaseScene {
+    constructor(container, options) {
+        super(container, options);
         if (!this.container) return;
 
         this.scene = new THREE.Scene();
         this.camera = new THREE.PerspectiveCamera(60, this.container.offsetWidth / this.container.offsetHeight, 0.1, 1000);
-        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-        this.nodes = [];
-        this.connections = [];
-        this.clock = new THREE.Clock();
+
+        // Kept outside build() so quality changes don't re-roll the weights
+        this.layers = this.options.layers.map(count => Math.max(1, Math.round(count)));
+        this.network = new MultilayerPerceptron(this.layers, this.options.connectionDensity, this.randomStream('weights'));
+        this.palette = { positive: new THREE.Color(), negative: new THREE.Color() };
+        this.pointerInput = null;
+        this.pointerTime = -Infinity;
+        this.waveStart = -Infinity;
+        this.sampleIndex = 0;
 
         this.init();
     }
 
+    static get schema() {
+        return {
+            layers: { type: 'array', default: [4, 6, 8, 6, 4] },
+            layerSpacing: { type: 'number', default: 8, min: 2, max: 20 },
+            nodeSpacing: { type: 'number', default: 4, min: 1, max: 10 },
+            connectionDensity: { type: 'number', default: 0.7, min: 0, max: 1 }
+        };
+    }
+
     init() {
-        this.renderer.setSize(this.container.offsetWidth, this.container.offsetHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        this.renderer.setClearColor(0x000000, 0);
-        this.container.appendChild(this.renderer.domElement);
+        this.createView();
 
         this.camera.position.z = 40;
 
+        this.build();
+
+        this.listen(window, 'pointermove', (e) => this.onPointerMove(e));
+
+        this.startRendering();
+    }
+
+    build() {
+        this.nodes = [];
+        this.connections = [];
+
         this.createNeuralNetwork();
+        this.createPulses();
+    }
 
-        window.addEventListener('resize', () => this.onResize());
-        this.setupThemeObserver();
-        this.animate();
+    isOuterLayer(layer) {
+        return layer === 0 || layer === this.layers.length - 1;
     }
 
-    setupThemeObserver() {
-        const observer = new MutationObserver((mutations) => {
-            mutations.forEach((mutation) => {
-                if (mutation.attributeName === 'data-theme') {
-                    this.updateColors();
-                }
-            });
-        });
-        observer.observe(document.documentElement, { attributes: true });
+    signColors(colors) {
+        const theme = getCurrentTheme();
+        return {
+            positive: theme === 'light' ? colors.depth2 : colors.primary,
+            negative: colors.negative
+        };
     }
 
     updateColors() {
         const colors = getThemeColors();
-        const theme = getCurrentTheme();
+        const sign = this.signColors(colors);
+        const lineScale = getCurrentTheme() === 'light' ? 0.8 : 1;
 
-        if (theme === 'light') {
-            // Monochrome depth gradient for neural network
-            this.nodes.forEach(node => {
-                // Layer-based depth: input/output layers darker, hidden layers lighter
-                let nodeColor;
-                if (node.layer === 0 || node.layer === 4) {
-                    nodeColor = colors.depth2; // Darker for input/output
-                } else if (node.layer === 2) {
-                    nodeColor = colors.depth4; // Lightest for middle layer
-                } else {
-                    nodeColor = colors.depth3; // Medium for other layers
-                }
-                node.mesh.material.color.setHex(nodeColor);
-                node.mesh.material.opacity = colors.solidOpacity;
-            });
-
-            // Subtle connections
-            this.connections.forEach(connection => {
-                connection.mesh.material.color.setHex(colors.depth5); // Lightest blue
-                connection.mesh.material.opacity = colors.lineOpacity * 0.6;
-            });
-        } else {
-            // Original dark theme
-            this.nodes.forEach(node => {
-                const nodeColor = node.layer === 0 || node.layer === 4 ? colors.primary : colors.secondary;
-                node.mesh.material.color.setHex(nodeColor);
-                node.mesh.material.opacity = 0.8;
-            });
+        // Nodes and pulses take their color from the palette every frame
+        this.tweenColor(this.palette.positive, sign.positive);
+        this.tweenColor(this.palette.negative, sign.negative);
 
-            this.connections.forEach(connection => {
-                connection.mesh.material.color.setHex(colors.primary);
-                connection.mesh.material.opacity = 0.2;
-            });
-        }
+        this.connections.forEach(connection => {
+            this.tweenColor(connection.mesh.material.color, connection.weight >= 0 ? sign.positive : sign.negative);
+            this.tweenOpacity(connection.mesh.material, (0.15 + 0.45 * connection.magnitude) * lineScale);
+        });
     }
 
     createNeuralNetwork() {
         const colors = getThemeColors();
-        const layers = [4, 6, 8, 6, 4];
-        const layerSpacing = 8;
-        const nodeSpacing = 4;
+        const sign = this.signColors(colors);
+        const layers = this.layers;
+        const layerSpacing = this.options.layerSpacing;
+        const nodeSpacing = this.options.nodeSpacing;
+        const lineScale = getCurrentTheme() === 'light' ? 0.8 : 1;
+
+        this.palette.positive.set(sign.positive);
+        this.palette.negative.set(sign.negative);
 
         layers.forEach((nodeCount, layerIndex) => {
             const layerX = (layerIndex - (layers.length - 1) / 2) * layerSpacing;
@@ -739,9 +1531,9 @@ class NeuralNetworkScene {
             for (let i = 0; i < nodeCount; i++) {
                 const nodeY = (i - (nodeCount - 1) / 2) * nodeSpacing;
 
-                const geometry = new THREE.SphereGeometry(0.4, 16, 16);
+                const geometry = new THREE.SphereGeometry(0.4, sceneQuality.segments(16), sceneQuality.segments(16));
                 const material = new THREE.MeshBasicMaterial({
-                    color: layerIndex === 0 || layerIndex === layers.length - 1 ? colors.primary : colors.secondary,
+                    color: this.isOuterLayer(layerIndex) ? colors.primary : colors.secondary,
                     transparent: true,
                     opacity: 0.8
                 });
@@ -752,116 +1544,206 @@ class NeuralNetworkScene {
                     mesh: node,
                     layer: layerIndex,
                     index: i,
-                    phase: Math.random() * Math.PI * 2
+                    // Activation currently shown, eased towards the latest pass
+                    value: 0
                 });
 
                 this.scene.add(node);
             }
         });
 
-        // Create connections
-        for (let l = 0; l < layers.length - 1; l++) {
-            const currentLayerNodes = this.nodes.filter(n => n.layer === l);
-            const nextLayerNodes = this.nodes.filter(n => n.layer === l + 1);
-
-            currentLayerNodes.forEach(node => {
-                nextLayerNodes.forEach(nextNode => {
-                    if (Math.random() > 0.3) {
-                        const points = [node.mesh.position, nextNode.mesh.position];
-                        const geometry = new THREE.BufferGeometry().setFromPoints(points);
-                        const material = new THREE.LineBasicMaterial({
-                            color: colors.primary,
-                            transparent: true,
-                            opacity: 0.2
-                        });
-                        const line = new THREE.Line(geometry, material);
-
-                        this.connections.push({
-                            mesh: line,
-                            from: node,
-                            to: nextNode,
-                            phase: Math.random() * Math.PI * 2
-                        });
-
-                        this.scene.add(line);
-                    }
+        // One cylinder per non-zero weight; WebGL lines are always 1px wide
+        const maxWeight = this.network.maxWeight();
+        const up = new THREE.Vector3(0, 1, 0);
+
+        this.network.weights.forEach((layer, l) => {
+            const fromNodes = this.nodes.filter(n => n.layer === l);
+            const toNodes = this.nodes.filter(n => n.layer === l + 1);
+
+            layer.forEach((row, j) => {
+                row.forEach((weight, i) => {
+                    if (weight === 0) return;
+
+                    const from = fromNodes[i].mesh.position;
+                    const to = toNodes[j].mesh.position;
+                    const direction = to.clone().sub(from);
+                    const magnitude = Math.abs(weight) / maxWeight;
+
+                    const geometry = new THREE.CylinderGeometry(1, 1, 1, sceneQuality.segments(6), 1, true);
+                    const material = new THREE.MeshBasicMaterial({
+                        color: weight >= 0 ? sign.positive : sign.negative,
+                        transparent: true,
+                        opacity: (0.15 + 0.45 * magnitude) * lineScale,
+                        depthWrite: false
+                    });
+                    const line = new THREE.Mesh(geometry, material);
+                    const radius = 0.02 + 0.08 * magnitude;
+                    line.scale.set(radius, direction.length(), radius);
+                    line.position.copy(from).addScaledVector(direction, 0.5);
+                    line.quaternion.setFromUnitVectors(up, direction.normalize());
+
+                    this.connections.push({
+                        mesh: line,
+                        from: fromNodes[i],
+                        to: toNodes[j],
+                        weight: weight,
+                        magnitude: magnitude
+                    });
+
+                    this.scene.add(line);
                 });
             });
-        }
+        });
     }
 
-    onResize() {
-        if (!this.container) return;
-        this.camera.aspect = this.container.offsetWidth / this.container.offsetHeight;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(this.container.offsetWidth, this.container.offsetHeight);
+    // One point per connection, moved along it while a pass crosses its layer
+    createPulses() {
+        const count = this.connections.length;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+
+        const material = new THREE.PointsMaterial({
+            size: 0.6,
+            vertexColors: true,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+
+        this.pulses = new THREE.Points(geometry, material);
+        this.scene.add(this.pulses);
     }
 
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    // Pointer position over the container in -1..1, y up
+    onPointerMove(event) {
+        if (sceneScheduler.isFrozen()) return;
+
+        const rect = this.container.getBoundingClientRect();
+        if (event.clientX < rect.left || event.clientX > rect.right ||
+            event.clientY < rect.top || event.clientY > rect.bottom) return;
 
-        const time = this.clock.getElapsedTime();
+        this.pointerInput = [
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        ];
+        this.pointerTime = performance.now();
+        this.requestRender();
+    }
+
+    // Spread a 2D point over however many inputs the first layer has
+    features([x, y]) {
+        const base = [x, y, x * y, x * x - y * y];
+        return Array.from({ length: this.layers[0] }, (_, k) => (
+            k < base.length ? base[k] : Math.sin(base[k % base.length] * Math.PI * Math.ceil(k / base.length))
+        ));
+    }
+
+    currentInputs() {
+        // The pointer wins for a few seconds after it last moved over the scene
+        if (this.pointerInput && performance.now() - this.pointerTime < 4000) {
+            return this.features(this.pointerInput);
+        }
+        return this.features(NeuralSamplePoints[this.sampleIndex % NeuralSamplePoints.length]);
+    }
+
+    animate(time, delta) {
+        const waveLength = (this.layers.length - 1) * NeuralLayerDelay;
+        const still = this.isStill();
+
+        // Start a new forward pass once the previous one has settled. Still
+        // frames show a finished pass, picking the sample from the time.
+        if (still) {
+            this.sampleIndex = Math.floor(time / (waveLength + NeuralWaveRest));
+            this.activations = this.network.forward(this.currentInputs());
+            this.waveStart = time;
+        } else if (time - this.waveStart > waveLength + NeuralWaveRest || time < this.waveStart) {
+            this.sampleIndex++;
+            this.activations = this.network.forward(this.currentInputs());
+            this.waveStart = time;
+        }
+
+        // A layer shows its new activations once the pulses reach it
+        const progress = (time - this.waveStart) / NeuralLayerDelay;
+        const easing = still ? 1 : 1 - Math.exp(-delta * 8);
+        const color = new THREE.Color();
+        const point = new THREE.Vector3();
 
-        // Animate nodes
         this.nodes.forEach(node => {
-            const scale = 1 + 0.2 * Math.sin(time * 2 + node.phase);
+            if (still || progress >= node.layer) {
+                node.value += (this.activations[node.layer][node.index] - node.value) * easing;
+            }
+
+            const strength = Math.abs(node.value);
+            const scale = 0.8 + 0.6 * strength;
             node.mesh.scale.set(scale, scale, scale);
-            node.mesh.material.opacity = 0.6 + 0.4 * Math.sin(time * 3 + node.phase);
+            node.mesh.material.color.copy(node.value >= 0 ? this.palette.positive : this.palette.negative);
+            node.mesh.material.opacity = 0.35 + 0.6 * strength;
         });
 
-        // Animate connections
-        this.connections.forEach(connection => {
-            connection.mesh.material.opacity = 0.1 + 0.2 * Math.sin(time * 4 + connection.phase);
+        // Pulses carry weight * activation from each layer to the next
+        const positions = this.pulses.geometry.attributes.position;
+        const colors = this.pulses.geometry.attributes.color;
+
+        this.connections.forEach((connection, i) => {
+            const t = progress - connection.from.layer;
+            let signal = 0;
+
+            if (!still && t >= 0 && t <= 1) {
+                signal = connection.weight * this.activations[connection.from.layer][connection.from.index];
+                point.lerpVectors(connection.from.mesh.position, connection.to.mesh.position, t);
+                positions.setXYZ(i, point.x, point.y, point.z);
+            }
+
+            color.copy(signal >= 0 ? this.palette.positive : this.palette.negative)
+                .multiplyScalar(Math.min(Math.abs(signal) * 2, 1));
+            colors.setXYZ(i, color.r, color.g, color.b);
         });
 
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+
         // Slight rotation
         this.scene.rotation.y = Math.sin(time * 0.3) * 0.2;
         this.scene.rotation.x = Math.sin(time * 0.2) * 0.1;
 
-        this.renderer.render(this.scene, this.camera);
+        this.renderFrame();
     }
 }
 
 // ==========================================
 // CTA Section - Floating Particles
 // ==========================================
-class FloatingParticlesScene {
-    constructor(containerId) {
-        this.container = document.getElementById(containerId);
+class FloatingParticlesScene extends BaseScene {
+    constructor(container, options) {
+        super(container, options);
         if (!this.container) return;
 
         this.scene = new THREE.Scene();
         this.camera = new THREE.PerspectiveCamera(75, this.container.offsetWidth / this.container.offsetHeight, 0.1, 1000);
-        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-        this.clock = new THREE.Clock();
 
         this.init();
     }
 
+    static get schema() {
+        return {
+            particleCount: { type: 'number', default: 200, min: 0, max: 20000 },
+            particleSize: { type: 'number', default: 0.3, min: 0.05, max: 2 }
+        };
+    }
+
     init() {
-        this.renderer.setSize(this.container.offsetWidth, this.container.offsetHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        this.renderer.setClearColor(0x000000, 0);
-        this.container.appendChild(this.renderer.domElement);
+        this.createView();
 
         this.camera.position.z = 30;
 
-        this.createParticles();
+        this.build();
 
-        window.addEventListener('resize', () => this.onResize());
-        this.setupThemeObserver();
-        this.animate();
+        this.startRendering();
     }
 
-    setupThemeObserver() {
-        const observer = new MutationObserver((mutations) => {
-            mutations.forEach((mutation) => {
-                if (mutation.attributeName === 'data-theme') {
-                    this.updateColors();
-                }
-            });
-        });
-        observer.observe(document.documentElement, { attributes: true });
+    build() {
+        this.createParticles();
     }
 
     updateColors() {
@@ -870,58 +1752,34 @@ class FloatingParticlesScene {
 
         if (this.particles) {
             if (theme === 'light') {
-                this.particles.material.opacity = colors.particleOpacity * 0.8; // Slightly more subtle
+                this.tweenOpacity(this.particles.material, colors.particleOpacity * 0.8); // Slightly more subtle
             } else {
-                this.particles.material.opacity = colors.particleOpacity;
+                this.tweenOpacity(this.particles.material, colors.particleOpacity);
             }
+            this.tweenAttribute(this.particles.geometry.attributes.color, this.particleColors(colors));
         }
     }
 
     createParticles() {
         const colors = getThemeColors();
-        const theme = getCurrentTheme();
-        const particleCount = 200;
+        const particleCount = sceneQuality.count(this.options.particleCount);
         const positions = new Float32Array(particleCount * 3);
-        const particleColors = new Float32Array(particleCount * 3);
+        this.particleMix = new Float32Array(particleCount);
 
-        if (theme === 'light') {
-            // Monochrome gradient for light theme
-            const colorDark = new THREE.Color(colors.depth3);
-            const colorLight = new THREE.Color(colors.depth5);
-
-            for (let i = 0; i < particleCount; i++) {
-                positions[i * 3] = (Math.random() - 0.5) * 60;
-                positions[i * 3 + 1] = (Math.random() - 0.5) * 30;
-                positions[i * 3 + 2] = (Math.random() - 0.5) * 30;
-
-                const color = colorDark.clone().lerp(colorLight, Math.random());
-                particleColors[i * 3] = color.r;
-                particleColors[i * 3 + 1] = color.g;
-                particleColors[i * 3 + 2] = color.b;
-            }
-        } else {
-            // Original dark theme
-            const colorPrimary = new THREE.Color(colors.primary);
-            const colorSecondary = new THREE.Color(colors.secondary);
-
-            for (let i = 0; i < particleCount; i++) {
-                positions[i * 3] = (Math.random() - 0.5) * 60;
-                positions[i * 3 + 1] = (Math.random() - 0.5) * 30;
-                positions[i * 3 + 2] = (Math.random() - 0.5) * 30;
-
-                const color = colorPrimary.clone().lerp(colorSecondary, Math.random());
-                particleColors[i * 3] = color.r;
-                particleColors[i * 3 + 1] = color.g;
-                particleColors[i * 3 + 2] = color.b;
-            }
+        for (let i = 0; i < particleCount; i++) {
+            positions[i * 3] = (this.random() - 0.5) * 60;
+            positions[i * 3 + 1] = (this.random() - 0.5) * 30;
+            positions[i * 3 + 2] = (this.random() - 0.5) * 30;
+
+            this.particleMix[i] = this.random();
         }
 
         const geometry = new THREE.BufferGeometry();
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('color', new THREE.BufferAttribute(particleColors, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(this.particleColors(colors), 3));
 
         const material = new THREE.PointsMaterial({
-            size: 0.3,
+            size: this.options.particleSize,
             vertexColors: true,
             transparent: true,
             opacity: colors.particleOpacity,
@@ -932,67 +1790,88 @@ class FloatingParticlesScene {
         this.scene.add(this.particles);
     }
 
-    onResize() {
-        if (!this.container) return;
-        this.camera.aspect = this.container.offsetWidth / this.container.offsetHeight;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(this.container.offsetWidth, this.container.offsetHeight);
-    }
-
-    animate() {
-        requestAnimationFrame(() => this.animate());
+    // Monochrome depth gradient in the light theme, primary to secondary in the dark
+    particleColors(colors) {
+        const isLight = getCurrentTheme() === 'light';
+        const from = new THREE.Color(isLight ? colors.depth3 : colors.primary);
+        const to = new THREE.Color(isLight ? colors.depth5 : colors.secondary);
+        const values = new Float32Array(this.particleMix.length * 3);
+        const color = new THREE.Color();
+
+        this.particleMix.forEach((mix, i) => {
+            color.copy(from).lerp(to, mix);
+            color.toArray(values, i * 3);
+        });
 
-        const time = this.clock.getElapsedTime();
+        return values;
+    }
 
+    animate(time) {
         if (this.particles) {
             this.particles.rotation.y = time * 0.05;
             this.particles.rotation.x = Math.sin(time * 0.1) * 0.1;
         }
 
-        this.renderer.render(this.scene, this.camera);
+        this.renderFrame();
     }
 }
 
 // ==========================================
-// Feature Visual - Mini Quantum Animation
+// Feature Cards - shared setup
 // ==========================================
-class FeatureQuantumScene {
-    constructor(containerId) {
-        this.container = document.getElementById(containerId);
+// Small scenes inside the feature cards. Like every scene they only run
+// while on screen; with animateOn: 'hover' they also hold a still frame
+// until the card is hovered or has focus.
+class FeatureCardScene extends BaseScene {
+    constructor(container, options) {
+        super(container, options);
         if (!this.container) return;
 
         this.scene = new THREE.Scene();
         this.camera = new THREE.PerspectiveCamera(60, this.container.offsetWidth / this.container.offsetHeight, 0.1, 1000);
-        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-        this.clock = new THREE.Clock();
 
         this.init();
     }
 
+    static get schema() {
+        return {
+            animateOn: { type: 'string', default: 'visible' }
+        };
+    }
+
     init() {
-        this.renderer.setSize(this.container.offsetWidth, this.container.offsetHeight);
-        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        this.renderer.setClearColor(0x000000, 0);
-        this.container.appendChild(this.renderer.domElement);
+        this.createView();
 
         this.camera.position.z = 10;
 
-        this.createScene();
+        this.build();
+        this.updateColors();
+        this.finishTweens();
 
-        window.addEventListener('resize', () => this.onResize());
-        this.setupThemeObserver();
-        this.animate();
-    }
+        this.startRendering();
 
-    setupThemeObserver() {
-        const observer = new MutationObserver((mutations) => {
-            mutations.forEach((mutation) => {
-                if (mutation.attributeName === 'data-theme') {
-                    this.updateColors();
-                }
+        if (this.options.animateOn === 'hover') {
+            sceneScheduler.setIdle(this, true);
+            this.watchHover(this.container.closest('.feature-card') || this.container, (active) => {
+                sceneScheduler.setIdle(this, !active);
             });
-        });
-        observer.observe(document.documentElement, { attributes: true });
+        }
+    }
+}
+
+// ==========================================
+// Feature Visual - Mini Quantum Animation
+// ==========================================
+class FeatureQuantumScene extends FeatureCardScene {
+    static get schema() {
+        return {
+            ...super.schema,
+            orbitCount: { type: 'number', default: 3, min: 1, max: 6 }
+        };
+    }
+
+    build() {
+        this.createScene();
     }
 
     updateColors() {
@@ -1002,38 +1881,38 @@ class FeatureQuantumScene {
         if (theme === 'light') {
             // Monochrome depth for feature quantum scene
             if (this.core) {
-                this.core.material.color.setHex(colors.depth2);
-                this.core.material.opacity = colors.wireframeOpacity;
+                this.tweenColor(this.core.material.color, colors.depth2);
+                this.tweenOpacity(this.core.material, colors.wireframeOpacity);
             }
 
             this.orbits.forEach((orbit, i) => {
                 // Gradient from darker to lighter
                 const orbitColors = [colors.depth2, colors.depth3, colors.depth4];
                 const orbitColor = orbitColors[i % 3];
-                orbit.material.color.setHex(orbitColor);
-                orbit.material.opacity = 0.6;
+                this.tweenColor(orbit.material.color, orbitColor);
+                this.tweenOpacity(orbit.material, 0.6);
 
                 // Update electron color
                 if (orbit.children[0]) {
-                    orbit.children[0].material.color.setHex(orbitColor);
-                    orbit.children[0].material.opacity = colors.solidOpacity;
+                    this.tweenColor(orbit.children[0].material.color, orbitColor);
+                    this.tweenOpacity(orbit.children[0].material, colors.solidOpacity);
                 }
             });
         } else {
             // Original dark theme
             if (this.core) {
-                this.core.material.color.setHex(colors.primary);
-                this.core.material.opacity = 0.8;
+                this.tweenColor(this.core.material.color, colors.primary);
+                this.tweenOpacity(this.core.material, 0.8);
             }
 
             this.orbits.forEach((orbit, i) => {
                 const orbitColor = i % 2 === 0 ? colors.primary : colors.secondary;
-                orbit.material.color.setHex(orbitColor);
-                orbit.material.opacity = 0.5;
+                this.tweenColor(orbit.material.color, orbitColor);
+                this.tweenOpacity(orbit.material, 0.5);
 
                 // Update electron color
                 if (orbit.children[0]) {
-                    orbit.children[0].material.color.setHex(orbitColor);
+                    this.tweenColor(orbit.children[0].material.color, orbitColor);
                 }
             });
         }
@@ -1055,8 +1934,8 @@ class FeatureQuantumScene {
 
         // Electron orbits
         this.orbits = [];
-        for (let i = 0; i < 3; i++) {
-            const orbitGeometry = new THREE.TorusGeometry(2 + i * 0.8, 0.02, 8, 64);
+        for (let i = 0; i < Math.round(this.options.orbitCount); i++) {
+            const orbitGeometry = new THREE.TorusGeometry(2 + i * 0.8, 0.02, sceneQuality.segments(8), sceneQuality.segments(64));
             const orbitMaterial = new THREE.MeshBasicMaterial({
                 color: i % 2 === 0 ? colors.primary : colors.secondary,
                 transparent: true,
@@ -1069,7 +1948,7 @@ class FeatureQuantumScene {
             this.scene.add(orbit);
 
             // Electron
-            const electronGeometry = new THREE.SphereGeometry(0.15, 16, 16);
+            const electronGeometry = new THREE.SphereGeometry(0.15, sceneQuality.segments(16), sceneQuality.segments(16));
             const electronMaterial = new THREE.MeshBasicMaterial({
                 color: i % 2 === 0 ? colors.primary : colors.secondary
             });
@@ -1079,18 +1958,7 @@ class FeatureQuantumScene {
         }
     }
 
-    onResize() {
-        if (!this.container) return;
-        this.camera.aspect = this.container.offsetWidth / this.container.offsetHeight;
-        this.camera.updateProjectionMatrix();
-        this.renderer.setSize(this.container.offsetWidth, this.container.offsetHeight);
-    }
-
-    animate() {
-        requestAnimationFrame(() => this.animate());
-
-        const time = this.clock.getElapsedTime();
-
+    animate(time) {
         if (this.core) {
             this.core.rotation.x = time * 0.5;
             this.core.rotation.y = time * 0.3;
@@ -1100,24 +1968,1099 @@ class FeatureQuantumScene {
             orbit.rotation.z = time * (1 + i * 0.5);
         });
 
-        this.renderer.render(this.scene, this.camera);
+        this.renderFrame();
     }
 }
 
-// Initialize scenes when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    // Initialize hero scene
-    new QuantumHeroScene('hero-canvas');
+// ==========================================
+// Feature Visual - Entangled Bell Pair
+// ==========================================
+// Two qubits in a singlet state: their spins precess in lockstep, always
+// opposite. Every few seconds both are "measured" and snap to a random
+// but perfectly anti-correlated up/down pair.
+const BellMeasurePeriod = 3;
 
-    // Initialize technology scene
-    new QuantumProcessorScene('tech-canvas');
+class FeatureEntanglementScene extends FeatureCardScene {
+    build() {
+        const colors = getThemeColors();
+        this.spins = [];
+
+        [-4, 4].forEach((x, i) => {
+            const color = i === 0 ? colors.primary : colors.secondary;
+
+            const qubit = new THREE.Mesh(
+                new THREE.SphereGeometry(0.7, sceneQuality.segments(24), sceneQuality.segments(16)),
+                new THREE.MeshBasicMaterial({ color: color, wireframe: true, transparent: true, opacity: 0.6 })
+            );
+            qubit.position.x = x;
+
+            const arrow = new THREE.Group();
+            const shaft = new THREE.Mesh(
+                new THREE.CylinderGeometry(0.06, 0.06, 1.6, sceneQuality.segments(8)),
+                new THREE.MeshBasicMaterial({ color: color })
+            );
+            shaft.position.y = 0.8;
+            const head = new THREE.Mesh(
+                new THREE.ConeGeometry(0.2, 0.5, sceneQuality.segments(12)),
+                new THREE.MeshBasicMaterial({ color: color })
+            );
+            head.position.y = 1.8;
+            arrow.add(shaft, head);
+            qubit.add(arrow);
+
+            this.spins.push({ qubit: qubit, arrow: arrow });
+            this.scene.add(qubit);
+        });
+
+        // Wavy link between the pair
+        this.linkPoints = 64;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.linkPoints * 3), 3));
+        this.link = new THREE.Line(geometry, new THREE.LineBasicMaterial({
+            color: colors.highlight,
+            transparent: true,
+            opacity: 0.5
+        }));
+        this.scene.add(this.link);
+
+        // Outcomes for qubit A, one per measurement; B always reads the opposite
+        this.outcomes = Array.from({ length: 32 }, () => this.random() < 0.5);
+    }
+
+    updateColors() {
+        const colors = getThemeColors();
+        const theme = getCurrentTheme();
+        const tones = theme === 'light' ? [colors.depth2, colors.depth3] : [colors.primary, colors.secondary];
 
-    // Initialize about scene
-    new NeuralNetworkScene('about-canvas');
+        this.spins.forEach((spin, i) => {
+            this.tweenColor(spin.qubit.material.color, tones[i]);
+            spin.arrow.children.forEach(part => this.tweenColor(part.material.color, tones[i]));
+        });
+        this.tweenColor(this.link.material.color, theme === 'light' ? colors.depth4 : colors.highlight);
+    }
+
+    animate(time) {
+        const cycle = Math.floor(time / BellMeasurePeriod);
+        const phase = time - cycle * BellMeasurePeriod;
+        const measuring = phase > BellMeasurePeriod - 1;
+
+        // Precess together, opposite; when measured, snap to up/down
+        const up = this.outcomes[cycle % this.outcomes.length];
+        this.spins.forEach((spin, i) => {
+            const opposite = i === 1 ? Math.PI : 0;
+            if (measuring) {
+                spin.arrow.rotation.set(0, 0, (up ? 0 : Math.PI) + opposite);
+            } else {
+                spin.arrow.rotation.set(0, time * 2, 0.6 + opposite);
+            }
+            spin.qubit.rotation.y = time * 0.5;
+        });
+
+        // The link ripples, and flashes straight when a measurement lands
+        const positions = this.link.geometry.attributes.position;
+        const amplitude = measuring ? 0 : 0.4;
+        for (let i = 0; i < this.linkPoints; i++) {
+            const t = i / (this.linkPoints - 1);
+            const x = -3.3 + t * 6.6;
+            positions.setXYZ(i, x, Math.sin(t * Math.PI * 4 - time * 4) * amplitude * Math.sin(t * Math.PI), 0);
+        }
+        positions.needsUpdate = true;
+        this.link.material.opacity = measuring ? 0.9 : 0.5;
+
+        this.renderFrame();
+    }
+}
+
+// ==========================================
+// Feature Visual - Mini Layered Network
+// ==========================================
+class FeatureNetworkScene extends FeatureCardScene {
+    build() {
+        const colors = getThemeColors();
+        const layers = [3, 4, 4, 2];
+        this.nodes = [];
+        this.links = [];
+
+        layers.forEach((count, layer) => {
+            for (let i = 0; i < count; i++) {
+                const node = new THREE.Mesh(
+                    new THREE.SphereGeometry(0.3, sceneQuality.segments(12), sceneQuality.segments(12)),
+                    new THREE.MeshBasicMaterial({ color: colors.primary, transparent: true, opacity: 0.8 })
+                );
+                node.position.set((layer - (layers.length - 1) / 2) * 3.2, (i - (count - 1) / 2) * 1.5, 0);
+                this.nodes.push({ mesh: node, layer: layer });
+                this.scene.add(node);
+            }
+        });
+
+        // Every node links to the whole next layer, in one draw call
+        const points = [];
+        this.nodes.forEach(from => {
+            this.nodes.filter(to => to.layer === from.layer + 1).forEach(to => {
+                points.push(from.mesh.position, to.mesh.position);
+            });
+        });
+        this.lines = new THREE.LineSegments(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.LineBasicMaterial({ color: colors.primary, transparent: true, opacity: 0.25 })
+        );
+        this.scene.add(this.lines);
+
+        this.layerCount = layers.length;
+    }
+
+    updateColors() {
+        const colors = getThemeColors();
+        const theme = getCurrentTheme();
+
+        this.nodes.forEach(node => {
+            const tone = theme === 'light'
+                ? [colors.depth2, colors.depth3][node.layer % 2]
+                : [colors.primary, colors.secondary][node.layer % 2];
+            this.tweenColor(node.mesh.material.color, tone);
+        });
+        this.tweenColor(this.lines.material.color, theme === 'light' ? colors.depth4 : colors.primary);
+    }
 
-    // Initialize CTA scene
-    new FloatingParticlesScene('cta-canvas');
+    animate(time) {
+        // A signal sweeps left to right, lighting each layer in turn
+        const sweep = (time * 1.5) % (this.layerCount + 1);
+
+        this.nodes.forEach(node => {
+            const glow = Math.max(0, 1 - Math.abs(sweep - node.layer));
+            const scale = 1 + 0.5 * glow;
+            node.mesh.scale.set(scale, scale, scale);
+            node.mesh.material.opacity = 0.5 + 0.5 * glow;
+        });
+
+        this.scene.rotation.y = Math.sin(time * 0.4) * 0.3;
+
+        this.renderFrame();
+    }
+}
+
+// ==========================================
+// Feature Visual - Parallel Wavefronts
+// ==========================================
+// A sheet of points displaced by ripples from three sources at once; where
+// they meet, the interference pattern shows every path being taken together.
+class FeatureWavefrontScene extends FeatureCardScene {
+    build() {
+        const colors = getThemeColors();
+        const columns = sceneQuality.segments(36);
+        const rows = sceneQuality.segments(18);
+        const positions = new Float32Array(columns * rows * 3);
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < columns; col++) {
+                const i = row * columns + col;
+                positions[i * 3] = (col / (columns - 1) - 0.5) * 18;
+                positions[i * 3 + 2] = (row / (rows - 1) - 0.5) * 9;
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(columns * rows * 3), 3));
+
+        this.sheet = new THREE.Points(geometry, new THREE.PointsMaterial({
+            size: 0.12,
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.9
+        }));
+        this.sheet.rotation.x = 0.6;
+        this.scene.add(this.sheet);
+
+        this.sources = [[-5, -2], [5, -1], [0, 3]].map(([x, z]) => ({ x: x, z: z, phase: this.random() * Math.PI * 2 }));
+        this.low = new THREE.Color(colors.depth1);
+        this.high = new THREE.Color(colors.primary);
+    }
+
+    updateColors() {
+        const colors = getThemeColors();
+        const theme = getCurrentTheme();
+
+        // Per-point colors are mixed from these every frame
+        this.tweenColor(this.low, theme === 'light' ? colors.depth5 : colors.depth1);
+        this.tweenColor(this.high, theme === 'light' ? colors.depth1 : colors.primary);
+    }
+
+    animate(time) {
+        const positions = this.sheet.geometry.attributes.position;
+        const colors = this.sheet.geometry.attributes.color;
+        const color = new THREE.Color();
+
+        for (let i = 0; i < positions.count; i++) {
+            const x = positions.getX(i);
+            const z = positions.getZ(i);
+            let height = 0;
+
+            this.sources.forEach(source => {
+                const distance = Math.hypot(x - source.x, z - source.z);
+                height += Math.sin(distance * 1.6 - time * 3 + source.phase) / (1 + distance * 0.25);
+            });
+
+            positions.setY(i, height * 0.5);
+            color.copy(this.low).lerp(this.high, Math.min(Math.max((height + 1.5) / 3, 0), 1));
+            colors.setXYZ(i, color.r, color.g, color.b);
+        }
+
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+
+        this.renderFrame();
+    }
+}
+
+// ==========================================
+// Feature Visual - Lattice Encryption
+// ==========================================
+// A skewed 2D lattice with its basis vectors. A message point is hidden by
+// adding noise (the whole lattice jitters off its sites), then recovered by
+// rounding back to the nearest lattice point, the way lattice-based
+// schemes like LWE work.
+class FeatureLatticeScene extends FeatureCardScene {
+    build() {
+        const colors = getThemeColors();
+        this.basis = [new THREE.Vector2(2.2, 0), new THREE.Vector2(0.9, 1.6)];
+        this.sites = [];
+
+        for (let row = -3; row <= 3; row++) {
+            for (let col = -5; col <= 5; col++) {
+                const site = this.basis[0].clone().multiplyScalar(col).addScaledVector(this.basis[1], row);
+                if (Math.abs(site.x) > 10 || Math.abs(site.y) > 5) continue;
+                this.sites.push({
+                    site: site,
+                    noise: new THREE.Vector2(this.random() - 0.5, this.random() - 0.5).multiplyScalar(1.4)
+                });
+            }
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.sites.length * 3), 3));
+        this.points = new THREE.Points(geometry, new THREE.PointsMaterial({
+            color: colors.primary,
+            size: 0.22,
+            transparent: true,
+            opacity: 0.8
+        }));
+        this.scene.add(this.points);
+
+        // Basis vectors from the origin
+        this.basisLines = new THREE.LineSegments(
+            new THREE.BufferGeometry().setFromPoints([
+                new THREE.Vector3(), new THREE.Vector3(this.basis[0].x, this.basis[0].y, 0),
+                new THREE.Vector3(), new THREE.Vector3(this.basis[1].x, this.basis[1].y, 0)
+            ]),
+            new THREE.LineBasicMaterial({ color: colors.highlight, transparent: true, opacity: 0.9 })
+        );
+        this.scene.add(this.basisLines);
+
+        // The message: a ring that drifts off its site and snaps back
+        this.message = new THREE.Mesh(
+            new THREE.TorusGeometry(0.4, 0.05, sceneQuality.segments(8), sceneQuality.segments(24)),
+            new THREE.MeshBasicMaterial({ color: colors.secondary })
+        );
+        this.messageSite = this.basis[0].clone().multiplyScalar(2).addScaledVector(this.basis[1], 1);
+        this.messageNoise = new THREE.Vector2(0.7, -0.5);
+        this.scene.add(this.message);
+    }
+
+    updateColors() {
+        const colors = getThemeColors();
+        const theme = getCurrentTheme();
+
+        this.tweenColor(this.points.material.color, theme === 'light' ? colors.depth3 : colors.primary);
+        this.tweenColor(this.basisLines.material.color, theme === 'light' ? colors.depth1 : colors.highlight);
+        this.tweenColor(this.message.material.color, theme === 'light' ? colors.depth2 : colors.secondary);
+    }
 
-    // Initialize feature visual
-    new FeatureQuantumScene('feature-visual-1');
+    animate(time) {
+        // 0 = plaintext on the lattice, 1 = fully noised ciphertext
+        const noise = 0.5 - 0.5 * Math.cos(time * 1.2);
+        const positions = this.points.geometry.attributes.position;
+
+        this.sites.forEach((entry, i) => {
+            const wobble = Math.sin(time * 3 + i) * 0.15 * noise;
+            positions.setXYZ(
+                i,
+                entry.site.x + entry.noise.x * noise + wobble,
+                entry.site.y + entry.noise.y * noise,
+                0
+            );
+        });
+        positions.needsUpdate = true;
+
+        this.message.position.set(
+            this.messageSite.x + this.messageNoise.x * noise,
+            this.messageSite.y + this.messageNoise.y * noise,
+            0.1
+        );
+        this.message.rotation.y = time;
+
+        this.scene.rotation.x = -0.35;
+        this.scene.rotation.y = Math.sin(time * 0.3) * 0.25;
+
+        this.renderFrame();
+    }
+}
+
+// ==========================================
+// Agent Cards - shared setup
+// ==========================================
+// Full-bleed scenes behind the agent cards. They rest dim and slow, and
+// `intensity` eases up to 1 while the card is hovered or holds focus. Each
+// scene runs on its own clock, which speeds up with the intensity; when
+// motion is still the clock is the scheduler's time and the intensity
+// snaps straight to its target.
+class AgentCardScene extends BaseScene {
+    constructor(container, options) {
+        super(container, options);
+        if (!this.container) return;
+
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(50, this.container.offsetWidth / this.container.offsetHeight, 0.1, 1000);
+
+        this.init();
+    }
+
+    static get schema() {
+        return {
+            restIntensity: { type: 'number', default: 0.3, min: 0, max: 1 }
+        };
+    }
+
+    init() {
+        this.createView();
+
+        this.camera.position.z = 12;
+        this.intensity = this.options.restIntensity;
+        this.targetIntensity = this.intensity;
+        this.clock = 0;
+
+        this.build();
+        this.updateColors();
+        this.finishTweens();
+
+        this.startRendering();
+
+        this.watchHover(this.container.closest('.agent-card') || this.container, (active) => {
+            this.targetIntensity = active ? 1 : this.options.restIntensity;
+            this.requestRender();
+        });
+    }
+
+    // Ease the intensity and advance the clock; returns the scene time
+    step(time, delta) {
+        if (this.isStill()) {
+            this.intensity = this.targetIntensity;
+            this.clock = time;
+        } else {
+            this.intensity += (this.targetIntensity - this.intensity) * Math.min(delta * 4, 1);
+            this.clock += delta * (0.4 + 0.6 * this.intensity);
+        }
+
+        return this.clock;
+    }
+}
+
+// ==========================================
+// Agent Background - Optimization Landscape
+// ==========================================
+// A cost surface of a few seeded wells over a shallow bowl. A search point
+// drops in from the rim and follows gradient descent with momentum into a
+// minimum, leaving its path behind, then starts again somewhere else.
+const OptimizerRuns = 4;
+const OptimizerHoldSteps = 20;
+
+class AgentOptimizerScene extends AgentCardScene {
+    build() {
+        const colors = getThemeColors();
+
+        this.wells = Array.from({ length: 4 }, () => ({
+            x: (this.random() - 0.5) * 10,
+            z: (this.random() - 0.5) * 6,
+            depth: 1 + this.random() * 1.5,
+            width: 1 + this.random() * 1.2
+        }));
+
+        const geometry = new THREE.PlaneGeometry(16, 10, sceneQuality.segments(32), sceneQuality.segments(20));
+        geometry.rotateX(-Math.PI / 2);
+        const positions = geometry.attributes.position;
+        for (let i = 0; i < positions.count; i++) {
+            positions.setY(i, this.height(positions.getX(i), positions.getZ(i)));
+        }
+
+        this.surface = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            color: colors.primary,
+            wireframe: true,
+            transparent: true,
+            opacity: 0.2
+        }));
+        this.scene.add(this.surface);
+
+        // Each run is a list of points, padded so the end of the search lingers
+        this.runs = Array.from({ length: OptimizerRuns }, () => this.descend());
+        this.stepCount = this.runs.reduce((total, run) => total + run.length, 0);
+        this.activeRun = null;
+
+        const longest = Math.max(...this.runs.map(run => run.length));
+        const pathGeometry = new THREE.BufferGeometry();
+        pathGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(longest * 3), 3));
+        this.path = new THREE.Line(pathGeometry, new THREE.LineBasicMaterial({
+            color: colors.highlight,
+            transparent: true,
+            opacity: 0.8
+        }));
+        this.scene.add(this.path);
+
+        this.marker = new THREE.Mesh(
+            new THREE.SphereGeometry(0.22, sceneQuality.segments(16), sceneQuality.segments(12)),
+            new THREE.MeshBasicMaterial({ color: colors.secondary })
+        );
+        this.scene.add(this.marker);
+
+        this.camera.position.set(0, 7, 10);
+        this.camera.lookAt(0, -0.8, 0);
+    }
+
+    height(x, z) {
+        let y = 0.03 * (x * x + z * z);
+        this.wells.forEach(well => {
+            const distance = (x - well.x) ** 2 + (z - well.z) ** 2;
+            y -= well.depth * Math.exp(-distance / (2 * well.width * well.width));
+        });
+        return y;
+    }
+
+    descend() {
+        const angle = this.random() * Math.PI * 2;
+        let x = Math.cos(angle) * 7;
+        let z = Math.sin(angle) * 4.5;
+        let vx = 0;
+        let vz = 0;
+        const points = [];
+
+        for (let i = 0; i < 90; i++) {
+            points.push(new THREE.Vector3(x, this.height(x, z) + 0.15, z));
+
+            const gx = (this.height(x + 0.01, z) - this.height(x - 0.01, z)) / 0.02;
+            const gz = (this.height(x, z + 0.01) - this.height(x, z - 0.01)) / 0.02;
+            vx = vx * 0.8 - gx * 0.06;
+            vz = vz * 0.8 - gz * 0.06;
+            x += vx;
+            z += vz;
+
+            if (i > 10 && Math.hypot(vx, vz) < 0.004) break;
+        }
+
+        const last = points[points.length - 1];
+        for (let i = 0; i < OptimizerHoldSteps; i++) points.push(last);
+        return points;
+    }
+
+    updateColors() {
+        const colors = getThemeColors();
+        const theme = getCurrentTheme();
+
+        this.tweenColor(this.surface.material.color, theme === 'light' ? colors.depth3 : colors.primary);
+        this.tweenColor(this.path.material.color, theme === 'light' ? colors.depth1 : colors.highlight);
+        this.tweenColor(this.marker.material.color, theme === 'light' ? colors.depth2 : colors.secondary);
+    }
+
+    animate(time, delta) {
+        const clock = this.step(time, delta);
+
+        // Find the run and step the search has reached
+        let index = Math.floor(clock * 14) % this.stepCount;
+        let run = 0;
+        while (index >= this.runs[run].length) {
+            index -= this.runs[run].length;
+            run++;
+        }
+
+        const points = this.runs[run];
+        if (this.activeRun !== run) {
+            const positions = this.path.geometry.attributes.position;
+            points.forEach((point, i) => positions.setXYZ(i, point.x, point.y, point.z));
+            positions.needsUpdate = true;
+            this.path.geometry.computeBoundingSphere();
+            this.activeRun = run;
+        }
+        this.path.geometry.setDrawRange(0, index + 1);
+        this.marker.position.copy(points[index]);
+
+        const scale = 1 + 0.6 * this.intensity;
+        this.marker.scale.set(scale, scale, scale);
+        this.surface.material.opacity = 0.12 + 0.25 * this.intensity;
+        this.path.material.opacity = 0.4 + 0.6 * this.intensity;
+        this.scene.rotation.y = Math.sin(clock * 0.15) * 0.25;
+
+        this.renderFrame();
+    }
+}
+
+// ==========================================
+// Agent Background - Self-Assembling Network
+// ==========================================
+// Layers of nodes pop in, connections grow between them, a signal runs
+// through the finished network, and it all fades out to start over.
+const ArchitectCycle = 9;
+
+class AgentArchitectScene extends AgentCardScene {
+    build() {
+        const colors = getThemeColors();
+        const layers = [3, 5, 5, 4, 2];
+        this.nodes = [];
+        this.edges = [];
+        this.layerCount = layers.length;
+
+        layers.forEach((count, layer) => {
+            for (let i = 0; i < count; i++) {
+                const node = new THREE.Mesh(
+                    new THREE.SphereGeometry(0.22, sceneQuality.segments(12), sceneQuality.segments(12)),
+                    new THREE.MeshBasicMaterial({ color: colors.primary, transparent: true, opacity: 0.9 })
+                );
+                node.position.set((layer - (layers.length - 1) / 2) * 1.8, (i - (count - 1) / 2) * 1.4, 0);
+                this.nodes.push({ mesh: node, layer: layer, delay: (layer + this.random() * 0.8) / layers.length });
+                this.scene.add(node);
+            }
+        });
+
+        // A pruned set of links, each with its own moment to grow
+        this.nodes.forEach(from => {
+            this.nodes.filter(to => to.layer === from.layer + 1).forEach(to => {
+                if (this.random() > 0.7) return;
+                this.edges.push({
+                    from: from.mesh.position,
+                    to: to.mesh.position,
+                    delay: (from.layer + this.random()) / (layers.length - 1)
+                });
+            });
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.edges.length * 6), 3));
+        this.lines = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+            color: colors.primary,
+            transparent: true,
+            opacity: 0.4
+        }));
+        this.scene.add(this.lines);
+    }
+
+    updateColors() {
+        const colors = getThemeColors();
+        const theme = getCurrentTheme();
+
+        this.nodes.forEach(node => {
+            const tone = theme === 'light'
+                ? [colors.depth2, colors.depth3][node.layer % 2]
+                : [colors.primary, colors.secondary][node.layer % 2];
+            this.tweenColor(node.mesh.material.color, tone);
+        });
+        this.tweenColor(this.lines.material.color, theme === 'light' ? colors.depth4 : colors.primary);
+    }
+
+    animate(time, delta) {
+        const clock = this.step(time, delta);
+        const phase = (clock % ArchitectCycle) / ArchitectCycle;
+
+        // 0-0.3 nodes appear, 0.25-0.65 links grow, then a signal, then fade
+        const nodeProgress = phase / 0.3;
+        const edgeProgress = (phase - 0.25) / 0.4;
+        const fade = phase > 0.9 ? 1 - (phase - 0.9) / 0.1 : 1;
+        const signal = phase > 0.65 ? (phase - 0.65) / 0.25 * (this.layerCount + 1) - 1 : -2;
+
+        this.nodes.forEach(node => {
+            const grown = Math.min(Math.max((nodeProgress - node.delay) * 5, 0), 1);
+            const glow = Math.max(0, 1 - Math.abs(signal - node.layer));
+            const scale = grown * (1 + 0.6 * glow * this.intensity);
+            node.mesh.visible = grown > 0;
+            node.mesh.scale.set(scale, scale, scale);
+            node.mesh.material.opacity = (0.5 + 0.5 * Math.max(glow, this.intensity)) * fade;
+        });
+
+        const positions = this.lines.geometry.attributes.position;
+        const tip = new THREE.Vector3();
+        this.edges.forEach((edge, i) => {
+            const grown = Math.min(Math.max((edgeProgress - edge.delay * 0.75) * 4, 0), 1);
+            tip.copy(edge.from).lerp(edge.to, grown);
+            positions.setXYZ(i * 2, edge.from.x, edge.from.y, edge.from.z);
+            positions.setXYZ(i * 2 + 1, tip.x, tip.y, tip.z);
+        });
+        positions.needsUpdate = true;
+        this.lines.material.opacity = (0.15 + 0.35 * this.intensity) * fade;
+
+        this.scene.rotation.y = Math.sin(clock * 0.3) * 0.35;
+
+        this.renderFrame();
+    }
+}
+
+// ==========================================
+// Agent Background - Streaming Data Clusters
+// ==========================================
+// Data points stream in from the left, settle into one of three drifting
+// clusters (taking on its color as they join), then flow out to the right.
+// Each point's whole life is a function of the clock, so nothing piles up.
+const SynthesizerClusterCount = 3;
+
+class AgentSynthesizerScene extends AgentCardScene {
+    build() {
+        const colors = getThemeColors();
+        const count = sceneQuality.count(240);
+
+        this.clusters = Array.from({ length: SynthesizerClusterCount }, (_, k) => {
+            const angle = (k / SynthesizerClusterCount) * Math.PI * 2 + this.random();
+            const ring = new THREE.Mesh(
+                new THREE.TorusGeometry(1.3, 0.02, sceneQuality.segments(6), sceneQuality.segments(48)),
+                new THREE.MeshBasicMaterial({ color: colors.primary, transparent: true, opacity: 0.3 })
+            );
+            this.scene.add(ring);
+
+            return {
+                x: Math.cos(angle) * 2.2,
+                y: Math.sin(angle) * 2.8,
+                phase: this.random() * Math.PI * 2,
+                ring: ring,
+                color: new THREE.Color()
+            };
+        });
+
+        this.points = Array.from({ length: count }, () => ({
+            cluster: Math.floor(this.random() * SynthesizerClusterCount),
+            offset: this.random(),
+            entry: (this.random() - 0.5) * 9,
+            exit: (this.random() - 0.5) * 9,
+            // Box-Muller spread around the cluster center
+            spread: Math.sqrt(-2 * Math.log(1 - this.random())) * 0.55,
+            angle: this.random() * Math.PI * 2
+        }));
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+        this.cloud = new THREE.Points(geometry, new THREE.PointsMaterial({
+            size: 0.14,
+            vertexColors: true,
+            transparent: true,
+            opacity: 0.9
+        }));
+        this.scene.add(this.cloud);
+
+        this.incoming = new THREE.Color(colors.depth4);
+    }
+
+    updateColors() {
+        const colors = getThemeColors();
+        const theme = getCurrentTheme();
+        const tones = theme === 'light'
+            ? [colors.depth1, colors.depth2, colors.depth3]
+            : [colors.primary, colors.secondary, colors.highlight];
+
+        // Point colors are mixed from these every frame
+        this.clusters.forEach((cluster, k) => {
+            this.tweenColor(cluster.color, tones[k]);
+            this.tweenColor(cluster.ring.material.color, tones[k]);
+        });
+        this.tweenColor(this.incoming, theme === 'light' ? colors.depth5 : colors.depth4);
+    }
+
+    animate(time, delta) {
+        const clock = this.step(time, delta);
+        const positions = this.cloud.geometry.attributes.position;
+        const pointColors = this.cloud.geometry.attributes.color;
+        const color = new THREE.Color();
+
+        this.clusters.forEach(cluster => {
+            cluster.cx = cluster.x + Math.sin(clock * 0.3 + cluster.phase) * 0.6;
+            cluster.cy = cluster.y + Math.cos(clock * 0.25 + cluster.phase) * 0.4;
+            cluster.ring.position.set(cluster.cx, cluster.cy, 0);
+            cluster.ring.material.opacity = 0.1 + 0.4 * this.intensity;
+        });
+
+        this.points.forEach((point, i) => {
+            const cluster = this.clusters[point.cluster];
+            const life = (clock * 0.08 + point.offset) % 1;
+            const tx = cluster.cx + Math.cos(point.angle) * point.spread;
+            const ty = cluster.cy + Math.sin(point.angle) * point.spread;
+            let x, y, joined;
+
+            if (life < 0.4) {
+                // Stream in, easing out as the point reaches its cluster
+                const t = life / 0.4;
+                const eased = 1 - (1 - t) ** 3;
+                x = -9 + (tx + 9) * eased;
+                y = point.entry + (ty - point.entry) * eased;
+                joined = t * t;
+            } else if (life < 0.8) {
+                x = tx;
+                y = ty;
+                joined = 1;
+            } else {
+                // Flow out to the right, easing in
+                const t = (life - 0.8) / 0.2;
+                const eased = t * t;
+                x = tx + (9 - tx) * eased;
+                y = ty + (point.exit - ty) * eased;
+                joined = 1 - t;
+            }
+
+            positions.setXYZ(i, x, y, 0);
+            color.copy(this.incoming).lerp(cluster.color, joined);
+            pointColors.setXYZ(i, color.r, color.g, color.b);
+        });
+
+        positions.needsUpdate = true;
+        pointColors.needsUpdate = true;
+        this.cloud.material.size = 0.1 + 0.08 * this.intensity;
+
+        this.renderFrame();
+    }
+}
+
+// ==========================================
+// Story Mode - Scroll-Morphing Background
+// ==========================================
+// One particle system fixed behind the whole page, used instead of the
+// section scenes when the page is in story mode. Every particle has a
+// target in each shape below, and scroll position picks how far along the
+// sequence the page is: progress 0 is the hero cloud, 1 the processor grid
+// at #technology, and so on. The vertex shader blends a particle's targets
+// with a per-particle delay, so one shape dissolves into the next instead
+// of sliding across as a block.
+const StoryStops = ['hero', 'technology', 'about', 'contact'];
+
+const StoryVertexShader = `
+    attribute vec3 cloud;
+    attribute vec3 grid;
+    attribute vec3 network;
+    attribute vec3 logo;
+    attribute float delay;
+    attribute float tone;
+
+    uniform float progress;
+    uniform float time;
+    uniform float size;
+    uniform float scale;
+    uniform vec3 colorA;
+    uniform vec3 colorB;
+
+    varying vec3 vColor;
+
+    float blend(float stage) {
+        return smoothstep(0.0, 1.0, clamp((progress - stage - delay * 0.4) / 0.6, 0.0, 1.0));
+    }
+
+    void main() {
+        vec3 target = mix(mix(mix(cloud, grid, blend(0.0)), network, blend(1.0)), logo, blend(2.0));
+        target += vec3(sin(time + delay * 40.0), cos(time * 0.8 + tone * 30.0), 0.0) * 0.12;
+
+        vColor = mix(colorA, colorB, tone);
+
+        vec4 mvPosition = modelViewMatrix * vec4(target, 1.0);
+        gl_PointSize = size * (scale / -mvPosition.z);
+        gl_Position = projectionMatrix * mvPosition;
+    }
+`;
+
+const StoryFragmentShader = `
+    uniform float opacity;
+
+    varying vec3 vColor;
+
+    void main() {
+        gl_FragColor = vec4(vColor, opacity);
+    }
+`;
+
+class StoryScene extends BaseScene {
+    constructor(container, options) {
+        super(container, options);
+        if (!this.container) return;
+
+        this.scene = new THREE.Scene();
+        this.camera = new THREE.PerspectiveCamera(60, this.container.offsetWidth / this.container.offsetHeight, 0.1, 1000);
+
+        this.progress = 0;
+        this.targetProgress = 0;
+        // Opaque pixels of the logo, filled in once it has loaded
+        this.logoPixels = null;
+
+        this.init();
+    }
+
+    static get schema() {
+        return {
+            particleCount: { type: 'number', default: 3000, min: 100, max: 50000 },
+            logo: { type: 'string', default: 'assets/logo.svg' }
+        };
+    }
+
+    init() {
+        this.createView();
+
+        this.camera.position.z = 30;
+
+        this.build();
+        this.updateColors();
+        this.finishTweens();
+
+        this.listen(window, 'scroll', () => this.onScroll(), { passive: true });
+        this.listen(window, 'resize', () => this.onScroll());
+        this.onScroll();
+        this.progress = this.targetProgress;
+
+        this.loadLogo();
+
+        this.startRendering();
+    }
+
+    build() {
+        const count = sceneQuality.count(this.options.particleCount);
+        const geometry = new THREE.BufferGeometry();
+        const cloud = this.cloudShape(count);
+
+        // Positions come from the shader; this only gives three.js a vertex count
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+        geometry.setAttribute('cloud', new THREE.BufferAttribute(cloud, 3));
+        geometry.setAttribute('grid', new THREE.BufferAttribute(this.gridShape(count), 3));
+        geometry.setAttribute('network', new THREE.BufferAttribute(this.networkShape(count), 3));
+        // Until the logo has loaded the last stop falls back to the cloud
+        geometry.setAttribute('logo', new THREE.BufferAttribute(this.logoPixels ? this.logoShape(count) : cloud.slice(), 3));
+        geometry.setAttribute('delay', new THREE.BufferAttribute(Float32Array.from({ length: count }, () => this.random()), 1));
+        geometry.setAttribute('tone', new THREE.BufferAttribute(Float32Array.from({ length: count }, () => this.random()), 1));
+        geometry.boundingSphere = new THREE.Sphere(new THREE.Vector3(), 20);
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                progress: { value: this.progress },
+                time: { value: 0 },
+                size: { value: 0.2 },
+                scale: { value: 1 },
+                opacity: { value: 0.6 },
+                colorA: { value: new THREE.Color() },
+                colorB: { value: new THREE.Color() }
+            },
+            vertexShader: StoryVertexShader,
+            fragmentShader: StoryFragmentShader,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        });
+        // Tweened like the other materials, then copied into the uniform each frame
+        material.opacity = 0.6;
+
+        this.particleSystem = new THREE.Points(geometry, material);
+        this.scene.add(this.particleSystem);
+    }
+
+    // Hero: a loose spherical cloud around the core
+    cloudShape(count) {
+        const points = new Float32Array(count * 3);
+        const point = new THREE.Vector3();
+
+        for (let i = 0; i < count; i++) {
+            point.setFromSphericalCoords(3 + this.random() * 11, Math.acos(2 * this.random() - 1), this.random() * Math.PI * 2);
+            point.toArray(points, i * 3);
+        }
+        return points;
+    }
+
+    // Technology: a ring at each site of the 5x5 qubit array, tilted back
+    gridShape(count) {
+        const points = new Float32Array(count * 3);
+        const point = new THREE.Vector3();
+        const tilt = new THREE.Euler(-0.9, 0, 0);
+
+        for (let i = 0; i < count; i++) {
+            const site = Math.floor(this.random() * 25);
+            const angle = this.random() * Math.PI * 2;
+            const radius = 0.9 + (this.random() - 0.5) * 0.2;
+            point.set(
+                (site % 5 - 2) * 4 + Math.cos(angle) * radius,
+                0,
+                (Math.floor(site / 5) - 2) * 4 + Math.sin(angle) * radius
+            );
+            point.applyEuler(tilt).toArray(points, i * 3);
+        }
+        return points;
+    }
+
+    // About: the neural network's layers, as node clusters and the links between them
+    networkShape(count) {
+        const layers = [4, 6, 8, 6, 4];
+        const nodes = layers.map((size, layer) => Array.from({ length: size }, (_, i) => (
+            new THREE.Vector3((layer - (layers.length - 1) / 2) * 5, (i - (size - 1) / 2) * 2.2, 0)
+        )));
+        const points = new Float32Array(count * 3);
+        const point = new THREE.Vector3();
+        const pick = (list) => list[Math.floor(this.random() * list.length)];
+
+        for (let i = 0; i < count; i++) {
+            if (this.random() < 0.4) {
+                point.set(this.random() - 0.5, this.random() - 0.5, this.random() - 0.5)
+                    .multiplyScalar(0.8)
+                    .add(pick(pick(nodes)));
+            } else {
+                const layer = Math.floor(this.random() * (layers.length - 1));
+                point.lerpVectors(pick(nodes[layer]), pick(nodes[layer + 1]), this.random());
+            }
+            point.toArray(points, i * 3);
+        }
+        return points;
+    }
+
+    // Contact: the logo, from pixels sampled out of its image
+    logoShape(count) {
+        const points = new Float32Array(count * 3);
+        const random = this.randomStream('logo');
+
+        for (let i = 0; i < count; i++) {
+            const pixel = Math.floor(random() * this.logoPixels.length / 2) * 2;
+            points[i * 3] = this.logoPixels[pixel] * 12;
+            points[i * 3 + 1] = this.logoPixels[pixel + 1] * 12;
+            points[i * 3 + 2] = (random() - 0.5) * 0.6;
+        }
+        return points;
+    }
+
+    // Rasterize the logo and keep its opaque pixels as x, y pairs in -1..1.
+    // The SVG gets an explicit size first, since not every browser will
+    // draw one that only has a viewBox.
+    loadLogo() {
+        const resolution = 200;
+
+        fetch(this.options.logo)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.text();
+            })
+            .then(text => new Promise((resolve, reject) => {
+                const svg = new DOMParser().parseFromString(text, 'image/svg+xml').documentElement;
+                svg.setAttribute('width', resolution);
+                svg.setAttribute('height', resolution);
+
+                const url = URL.createObjectURL(new Blob([new XMLSerializer().serializeToString(svg)], { type: 'image/svg+xml' }));
+                const image = new Image();
+                image.onload = () => {
+                    URL.revokeObjectURL(url);
+                    resolve(image);
+                };
+                image.onerror = () => {
+                    URL.revokeObjectURL(url);
+                    reject(new Error('image did not decode'));
+                };
+                image.src = url;
+            }))
+            .then(image => {
+                const canvas = document.createElement('canvas');
+                canvas.width = resolution;
+                canvas.height = resolution;
+                const context = canvas.getContext('2d');
+                context.drawImage(image, 0, 0, resolution, resolution);
+
+                const alpha = context.getImageData(0, 0, resolution, resolution).data;
+                const pixels = [];
+                for (let y = 0; y < resolution; y++) {
+                    for (let x = 0; x < resolution; x++) {
+                        if (alpha[(y * resolution + x) * 4 + 3] < 128) continue;
+                        pixels.push(x / resolution * 2 - 1, 1 - y / resolution * 2);
+                    }
+                }
+                if (!pixels.length) throw new Error('no opaque pixels');
+
+                this.logoPixels = pixels;
+                if (this.destroyed) return;
+
+                const attribute = this.particleSystem.geometry.attributes.logo;
+                attribute.array.set(this.logoShape(attribute.count));
+                attribute.needsUpdate = true;
+                this.requestRender();
+            })
+            .catch(error => {
+                debugLog.warn('scenes', `Story logo ${this.options.logo} could not be sampled (${error.message})`);
+            });
+    }
+
+    // Scroll position where each stop's section is centered (or as close
+    // as the page can scroll), mapped to progress between those stops
+    onScroll() {
+        const viewport = window.innerHeight;
+        const maxScroll = Math.max(document.documentElement.scrollHeight - viewport, 0);
+        const marks = StoryStops.map(id => {
+            const section = document.getElementById(id);
+            if (!section) return null;
+            const rect = section.getBoundingClientRect();
+            const center = rect.top + window.scrollY + Math.min(rect.height, viewport) / 2 - viewport / 2;
+            return Math.min(Math.max(center, 0), maxScroll);
+        });
+
+        let progress = 0;
+        marks.forEach((mark, i) => {
+            if (mark === null || i === 0 || marks[i - 1] === null) return;
+            const span = mark - marks[i - 1];
+            const reached = span > 0 ? (window.scrollY - marks[i - 1]) / span : (window.scrollY >= mark ? 1 : 0);
+            progress += Math.min(Math.max(reached, 0), 1);
+        });
+
+        this.targetProgress = progress;
+        this.requestRender();
+    }
+
+    updateColors() {
+        const colors = getThemeColors();
+        const theme = getCurrentTheme();
+        const uniforms = this.particleSystem.material.uniforms;
+
+        this.tweenColor(uniforms.colorA.value, theme === 'light' ? colors.depth2 : colors.primary);
+        this.tweenColor(uniforms.colorB.value, theme === 'light' ? colors.depth4 : colors.secondary);
+        this.tweenOpacity(this.particleSystem.material, colors.particleOpacity);
+    }
+
+    animate(time, delta) {
+        // Ease toward the scrolled position; under still motion jump straight there
+        if (this.isStill()) {
+            this.progress = this.targetProgress;
+        } else {
+            this.progress += (this.targetProgress - this.progress) * Math.min(delta * 4, 1);
+        }
+
+        const material = this.particleSystem.material;
+        material.uniforms.progress.value = this.progress;
+        material.uniforms.time.value = time;
+        material.uniforms.opacity.value = material.opacity;
+        material.uniforms.scale.value = this.pointScale();
+
+        // The cloud sways; later, flatter shapes settle facing the viewer
+        const sway = Math.max(1 - this.progress, 0.25);
+        this.particleSystem.rotation.y = Math.sin(time * 0.2) * 0.4 * sway;
+
+        this.renderFrame();
+    }
+}
+
+// ==========================================
+// Scene Registration
+// ==========================================
+// Names used in data-scene="..." markup; they also pick the fallback poster
+SceneRegistry.define('quantum-hero', QuantumHeroScene);
+SceneRegistry.define('quantum-processor', QuantumProcessorScene);
+SceneRegistry.define('neural-network', NeuralNetworkScene);
+SceneRegistry.define('floating-particles', FloatingParticlesScene);
+SceneRegistry.define('feature-quantum', FeatureQuantumScene);
+SceneRegistry.define('feature-entanglement', FeatureEntanglementScene);
+SceneRegistry.define('feature-network', FeatureNetworkScene);
+SceneRegistry.define('feature-wavefront', FeatureWavefrontScene);
+SceneRegistry.define('feature-lattice', FeatureLatticeScene);
+SceneRegistry.define('agent-optimizer', AgentOptimizerScene);
+SceneRegistry.define('agent-architect', AgentArchitectScene);
+SceneRegistry.define('agent-synthesizer', AgentSynthesizerScene);
+SceneRegistry.define('story', StoryScene);
+
+// Mount every [data-scene] container when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    SceneRegistry.mountAll();
 });